@@ -8,18 +8,52 @@
 // =========================
 
 const CONFIG = {
-  JSON_URLS: [
-    'https://raw.githubusercontent.com/NileXYII/Nile-Web-Content-Publishing/refs/heads/main/8gen3.json',
-    'https://raw.githubusercontent.com/NileXYII/Nile-Web-Content-Publishing/refs/heads/main/9300.json',
+  // Dataset manifest, relative to the page (see parseManifest for the format)
+  MANIFEST_URL: 'datasets.json',
+  // Used when the manifest can't be loaded
+  DATA_SOURCES: [
+    { id: '8gen3', name: 'Snapdragon 8 Gen 3', url: 'https://raw.githubusercontent.com/NileXYII/Nile-Web-Content-Publishing/refs/heads/main/8gen3.json' },
+    { id: '9300', name: 'Dimensity 9300', url: 'https://raw.githubusercontent.com/NileXYII/Nile-Web-Content-Publishing/refs/heads/main/9300.json' },
+    { id: 'bluboldn3', name: 'BLU Bold N3', url: 'https://raw.githubusercontent.com/NileXYII/Nile-Web-Content-Publishing/refs/heads/main/Bluboldn3.json', type: 'device' },
   ],
+  SOURCE_PREFS_KEY: 'data_source_prefs',
+  FETCH_TIMEOUT: 10000, // Per attempt, in milliseconds
+  FETCH_RETRIES: 2, // Extra attempts after a transient failure
+  FETCH_RETRY_DELAY: 500, // Backoff base in milliseconds, doubled per retry
   CACHE_KEY: 'soc_data_cache',
-  CACHE_TIMESTAMP_KEY: 'soc_data_timestamp',
-  CACHE_DURATION: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+  CACHE_VERSION: 2, // Bump when the cache envelope or payload shape changes
+  CACHE_REVALIDATE_AFTER: 10 * 60 * 1000, // Cached sources older than this are re-checked in the background
+  DB_NAME: 'soc_comparator',
+  DB_VERSION: 2, // Bump when object stores or indexes change
+  LOCAL_STORAGE_QUOTA: 5 * 1024 * 1024, // Typical per-origin limit, for the usage display
+  SERVICE_WORKER_URL: 'sw.js',
+  SW_CACHE_PREFIX: 'soc-comparator-', // Must match CACHE_PREFIX in sw.js
   LAST_COMPARISON_KEY: 'last_comparison',
   THEME_KEY: 'theme_preference',
+  WEIGHTS_KEY: 'scoring_weights',
+  CUSTOM_PRESETS_KEY: 'custom_weight_presets',
+  SCORING_MODE_KEY: 'scoring_mode',
+  BENCHMARK_NORMALIZATION: 'minmax', // 'minmax' or 'percentile' across the loaded dataset
+  MIN_COMPARISON_SLOTS: 2,
   MAX_COMPARISON_SLOTS: 4, // Support up to 4 SoCs
 };
 
+// Per-slot chart/table colors (RGB triplets, indexed by comparison slot)
+const SLOT_COLORS = [
+  '147, 51, 234',  // purple
+  '236, 72, 153',  // pink
+  '59, 130, 246',  // blue
+  '245, 158, 11',  // amber
+];
+
+// Score card grid columns by slot count. Spelled out so Tailwind's
+// content scan emits them.
+const SLOT_GRID_CLASSES = {
+  2: 'md:grid-cols-2',
+  3: 'md:grid-cols-3',
+  4: 'md:grid-cols-4',
+};
+
 // Weighted scoring system (must sum to 100)
 const SCORING_WEIGHTS = {
   cpu: 40,      // CPU performance weight
@@ -27,975 +61,5958 @@ const SCORING_WEIGHTS = {
   memory: 15,   // Memory subsystem weight
   efficiency: 10, // Process node efficiency
   cache: 5,     // Cache hierarchy weight
+  ai: 0,        // NPU / AI throughput weight
+  connectivity: 0, // Modem / Wi-Fi / Bluetooth weight
+};
+
+// Registered component scorers in display order (radar axes, weights
+// editor rows). Populated by registerScorer() in the Scoring Engine section.
+const SCORE_COMPONENTS = [];
+
+// Built-in weighting presets (each must sum to 100)
+const WEIGHT_PRESETS = {
+  Balanced: { ...SCORING_WEIGHTS },
+  Gaming: { cpu: 30, gpu: 45, memory: 10, efficiency: 10, cache: 5, ai: 0, connectivity: 0 },
+  Productivity: { cpu: 40, gpu: 15, memory: 20, efficiency: 5, cache: 10, ai: 5, connectivity: 5 },
+  Battery: { cpu: 15, gpu: 10, memory: 5, efficiency: 60, cache: 5, ai: 5, connectivity: 0 },
+  'AI/Camera': { cpu: 15, gpu: 15, memory: 15, efficiency: 5, cache: 0, ai: 50, connectivity: 0 },
 };
 
 // =========================
-// Global State Management
+// CPU Cluster Parsing
 // =========================
 
-const state = {
-  socsData: [],
-  filteredSocs: [],
-  activeComparison: [],
-  charts: {
-    main: null,
-    categories: {},
-  },
-  darkMode: false,
-  isLoading: false,
+// Relative contribution of one core per tier to the CPU score
+const CORE_TIER_WEIGHTS = {
+  prime: 1.0,
+  performance: 0.7,
+  efficiency: 0.3,
 };
 
-// =========================
-// Cache Management System
-// =========================
+// Display order and colors for the core-layout visual
+const CORE_TIERS = [
+  { tier: 'prime', label: 'Prime', color: 'rgb(107, 33, 168)' },
+  { tier: 'performance', label: 'Performance', color: 'rgb(192, 132, 252)' },
+  { tier: 'efficiency', label: 'Efficiency', color: 'rgb(209, 213, 219)' },
+];
+
+// Core-name rules; unmatched cores are tiered by cluster position
+const CORE_TIER_RULES = [
+  { pattern: /cortex-x\d+/i, tier: 'prime' },
+  { pattern: /cortex-a7\d+|neoverse|mongoose/i, tier: 'performance' },
+  { pattern: /cortex-a[35]\d+/i, tier: 'efficiency' },
+];
+
+// Parsed clusters keyed by microarchitecture string
+const clusterCache = new Map();
 
 /**
- * Save SoC data to localStorage with timestamp
- * @param {Array} data - SoC data array
+ * Parse a free-text core layout into clusters. Handles
+ * "1x Cortex-X4 @ 3.3GHz + 5x Cortex-A720", "1x Cortex-X4 (3.3 GHz) + ..."
+ * and the handset style "Octa-core (2x2.6 GHz Cortex-A78 & 6x2.0 GHz Cortex-A55)".
+ * @param {string} text - microarchitecture string
+ * @returns {Array} [{ count, core, clock }] (clock in GHz or null)
  */
-const cacheData = (data) => {
-  try {
-    localStorage.setItem(CONFIG.CACHE_KEY, JSON.stringify(data));
-    localStorage.setItem(CONFIG.CACHE_TIMESTAMP_KEY, Date.now().toString());
-    console.log('✓ Data cached successfully');
-  } catch (error) {
-    console.warn('Cache storage failed:', error.message);
-  }
+const parseMicroarchitecture = (text) => {
+  if (isBlankValue(text)) return [];
+  // Only unwrap parentheses that hold the whole "Nx ..." layout, not a clock
+  const parenthesized = /\((\s*\d+\s*[x×][^)]*)\)/i.exec(text);
+  const layout = parenthesized ? parenthesized[1] : `${text}`;
+
+  return layout.split(/\s*[+&,]\s*/).map((part) => {
+    const match = /^(\d+)\s*[x×]\s*(?:(\d+(?:\.\d+)?)\s*GHz\s+)?(.+?)(?:\s*@\s*(\d+(?:\.\d+)?)\s*GHz|\s*\(\s*(\d+(?:\.\d+)?)\s*GHz\s*\))?$/i.exec(part.trim());
+    if (!match) return null;
+    return {
+      count: parseInt(match[1], 10),
+      core: match[3].trim(),
+      clock: parseFloat(match[2] || match[4] || match[5]) || null,
+    };
+  }).filter(Boolean);
 };
 
 /**
- * Retrieve cached data if valid
- * @returns {Array|null} Cached data or null if expired/missing
+ * Assign a tier to a cluster by core name, falling back to its position
+ * (first = performance, or prime when it is a small lead cluster ahead
+ * of two others; last = efficiency)
  */
-const getCachedData = () => {
-  try {
-    const timestamp = parseInt(localStorage.getItem(CONFIG.CACHE_TIMESTAMP_KEY), 10);
-    const now = Date.now();
-    
-    // Check if cache is still valid
-    if (timestamp && (now - timestamp < CONFIG.CACHE_DURATION)) {
-      const cached = localStorage.getItem(CONFIG.CACHE_KEY);
-      if (cached) {
-        console.log('✓ Using cached data');
-        return JSON.parse(cached);
-      }
-    }
-  } catch (error) {
-    console.warn('Cache retrieval failed:', error.message);
+const getClusterTier = (cluster, index, clusters) => {
+  const rule = CORE_TIER_RULES.find(({ pattern }) => pattern.test(cluster.core));
+  if (rule) return rule.tier;
+  if (clusters.length === 1) return 'performance';
+  if (index === clusters.length - 1) return 'efficiency';
+  if (index === 0 && clusters.length >= 3 && cluster.count <= 2) return 'prime';
+  return 'performance';
+};
+
+/**
+ * Get a SoC's CPU clusters with tiers. The first cluster inherits the
+ * SoC's max frequency when the layout string omits its clock.
+ * @param {Object} soc - SoC data object
+ * @returns {Array} [{ count, core, clock, tier }]
+ */
+const getCpuClusters = (soc) => {
+  const text = soc.microarchitecture;
+  if (!clusterCache.has(text)) {
+    const parsed = parseMicroarchitecture(text);
+    clusterCache.set(text, parsed.map((cluster, i) => ({ ...cluster, tier: getClusterTier(cluster, i, parsed) })));
   }
-  return null;
+
+  return clusterCache.get(text).map((cluster, i) => ({
+    ...cluster,
+    clock: cluster.clock || (i === 0 && parseFloat(soc.frequency)) || null,
+  }));
 };
 
 /**
- * Clear all cached data
+ * Count cores in one tier
+ * @returns {number|null} null when the layout could not be parsed
  */
-const clearCache = () => {
-  localStorage.removeItem(CONFIG.CACHE_KEY);
-  localStorage.removeItem(CONFIG.CACHE_TIMESTAMP_KEY);
-  console.log('✓ Cache cleared');
+const countTierCores = (soc, tier) => {
+  const clusters = getCpuClusters(soc);
+  if (!clusters.length) return null;
+  return clusters.filter(c => c.tier === tier).reduce((sum, c) => sum + c.count, 0);
+};
+
+/**
+ * Tier-weighted core count: prime and performance cores count for more
+ * than efficiency cores. Without a parseable layout every core is
+ * treated as a performance core.
+ * @returns {number|null}
+ */
+const deriveWeightedCoreCount = (soc) => {
+  const clusters = getCpuClusters(soc);
+  if (!clusters.length) {
+    const cores = parseFloat(soc.numCores);
+    return cores > 0 ? roundDerived(cores * CORE_TIER_WEIGHTS.performance) : null;
+  }
+  return roundDerived(clusters.reduce((sum, c) => sum + c.count * CORE_TIER_WEIGHTS[c.tier], 0));
 };
 
 // =========================
-// Data Loading & Processing
+// Field Schema
 // =========================
 
+// Comparison table categories in display order. Fields are attached from
+// FIELD_SCHEMA by their `category`. `key` is the short id used in share links.
+const COMPARISON_CATEGORIES = [
+  { key: 'general', name: 'General Info', chartId: 'generalChart' },
+  { key: 'cpu', name: 'CPU Performance', chartId: 'cpuChart' },
+  { key: 'memory', name: 'Memory', chartId: 'memoryChart' },
+  { key: 'graphics', name: 'Graphics', chartId: 'graphicsChart' },
+  { key: 'ai', name: 'AI & NPU', chartId: 'aiChart' },
+  // Mixed scales (Mbps vs version numbers): chart each row relative to its best
+  { key: 'connectivity', name: 'Connectivity', chartId: 'connectivityChart', relativeChart: true },
+  { key: 'media', name: 'Camera & Media', chartId: 'mediaChart' },
+  { key: 'power', name: 'Power', chartId: 'powerChart', relativeChart: true },
+];
+
+// Known SoC vendors, used to derive `manufacturer` when a source omits it
+const MANUFACTURER_PATTERNS = [
+  { pattern: /snapdragon|qualcomm/i, name: 'Qualcomm' },
+  { pattern: /dimensity|helio|mediatek/i, name: 'MediaTek' },
+  { pattern: /exynos|samsung/i, name: 'Samsung' },
+  { pattern: /tensor|google/i, name: 'Google' },
+  { pattern: /kirin|hisilicon/i, name: 'HiSilicon' },
+  { pattern: /unisoc|tiger/i, name: 'UNISOC' },
+  { pattern: /^apple|\ba\d{2}\b|\bm\d\b/i, name: 'Apple' },
+];
+
 /**
- * Fetch SoC data from remote sources or cache
- * Uses async/await for better error handling
+ * Turn a name into an id-style slug ("Snapdragon 8 Gen 3" -> "snapdragon-8-gen-3")
+ * @returns {string|null}
  */
-const loadSoCs = async () => {
-  // Check cache first
-  const cached = getCachedData();
-  if (cached && cached.length > 0) {
-    state.socsData = cached;
-    state.filteredSocs = [...cached];
-    initializeUI();
-    return;
-  }
-
-  // Show loading indicator
-  showLoadingSpinner(true);
+const slugify = (text) => {
+  if (text === undefined || text === null) return null;
+  const slug = `${text}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug || null;
+};
 
-  try {
-    // Fetch all JSON files in parallel
-    const responses = await Promise.all(
-      CONFIG.JSON_URLS.map(url => 
-        fetch(url).then(res => {
-          if (!res.ok) throw new Error(`HTTP ${res.status}: ${url}`);
-          return res.json();
-        })
-      )
-    );
-
-    // Merge all data sources
-    let allSocs = [];
-    responses.forEach(data => {
-      const socs = Array.isArray(data) ? data : (data.socs || []);
-      allSocs = allSocs.concat(socs);
-    });
+/**
+ * Escape text for HTML output (element content and double-quoted attributes)
+ */
+const escapeHtml = (text) => `${text}`
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
 
-    if (allSocs.length === 0) {
-      throw new Error('No SoC data found in any source');
-    }
+/**
+ * Derive a manufacturer from a record's name or id
+ * @returns {string|null}
+ */
+const deriveManufacturer = (soc) => {
+  const text = `${soc.name || ''} ${soc.id || ''}`;
+  const match = MANUFACTURER_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.name : null;
+};
 
-    // Normalize and validate data
-    state.socsData = allSocs.map(normalizeChipData);
-    state.filteredSocs = [...state.socsData];
+// Peak data rates (MT/s) by memory standard, used to derive bandwidth.
+// Longer names first so 'LPDDR5X' isn't matched as 'LPDDR5'.
+const MEMORY_DATA_RATES = [
+  { type: 'LPDDR5T', rate: 9600 },
+  { type: 'LPDDR5X', rate: 8533 },
+  { type: 'LPDDR5', rate: 6400 },
+  { type: 'LPDDR4X', rate: 4266 },
+  { type: 'LPDDR4', rate: 3200 },
+  { type: 'LPDDR3', rate: 2133 },
+  { type: 'DDR5', rate: 5600 },
+  { type: 'DDR4', rate: 3200 },
+];
 
-    // Cache the loaded data
-    cacheData(state.socsData);
+/**
+ * Round a derived value, keeping null for "not computable"
+ */
+const roundDerived = (value, decimals = 1) => {
+  if (value === null || !isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
 
-    // Restore last comparison if exists
-    restoreLastComparison();
+/**
+ * Theoretical peak bandwidth (GB/s) = bus width (bytes) x data rate (MT/s)
+ * @returns {number|null}
+ */
+const deriveMemoryBandwidth = (soc) => {
+  const busWidth = parseFloat(soc.memoryBusWidth);
+  const type = `${soc.memoryType || ''}`.toUpperCase().replace(/[\s-]/g, '');
+  const match = MEMORY_DATA_RATES.find(entry => type.includes(entry.type));
+  if (!(busWidth > 0) || !match) return null;
+  return roundDerived((busWidth / 8) * match.rate / 1000);
+};
 
-    initializeUI();
-    
-  } catch (error) {
-    showErrorMessage(`Failed to load database: ${error.message}`);
-    console.error('Load error:', error);
-  } finally {
-    showLoadingSpinner(false);
-  }
+/**
+ * Divide one spec by another, e.g. benchmark points per watt of TDP
+ * @returns {number|null} Ratio, or null if either side is missing
+ */
+const deriveRatio = (numerator, denominator, decimals = 1) => {
+  const n = parseFloat(numerator);
+  const d = parseFloat(denominator);
+  if (!(n > 0) || !(d > 0)) return null;
+  return roundDerived(n / d, decimals);
 };
 
 /**
- * Normalize SoC data structure for consistent processing
- * @param {Object} soc - Raw SoC data
- * @returns {Object} Normalized SoC object
+ * Every known SoC field. Drives normalization (type), table rendering
+ * (category/label/unit/prefix/compare) and the validation report (required).
+ *
+ * type: 'string' | 'integer' | 'number' | 'version' (numeric-looking string)
+ * compare: 'higher' | 'lower' - comparison direction for highlighting/charts
+ * category: COMPARISON_CATEGORIES name, or null for fields that are not rendered
+ * derive: fallback computed from the normalized record when the source omits the field
+ * computed: never provided by sources (derived metrics); skipped by validation
+ * note: how a derived value is calculated (shown as a tooltip)
  */
-const normalizeChipData = (soc) => ({
-  ...soc,
-  frequency: parseFloat(soc.frequency) || 0,
-  numCores: parseInt(soc.numCores) || 0,
-  numThreads: parseInt(soc.numThreads) || 0,
-  fabProcess: parseInt(soc.fabProcess) || 999,
-  gpuCores: parseInt(soc.gpuCores) || 0,
-  gpuClock: parseFloat(soc.gpuClock) || 0,
-  l2Cache: parseInt(soc.l2Cache) || 0,
-  l3Cache: parseInt(soc.l3Cache) || 0,
-  maxMemorySize: parseInt(soc.maxMemorySize) || 0,
-  memoryChannels: parseInt(soc.memoryChannels) || 0,
-});
+const FIELD_SCHEMA = [
+  // General
+  { key: 'id', type: 'string', label: 'ID', category: null, required: true, derive: soc => slugify(soc.name) },
+  { key: 'name', type: 'string', label: 'Processor Name', category: 'General Info', required: true },
+  {
+    key: 'manufacturer', type: 'string', label: 'Manufacturer', category: 'General Info',
+    derive: deriveManufacturer, note: 'inferred from the processor name',
+  },
+  { key: 'launch', type: 'integer', label: 'Launch Date', category: 'General Info', required: true },
+  { key: 'fabProcess', type: 'number', label: 'Process Node', unit: 'nm', compare: 'lower', category: 'General Info', required: true },
+  { key: 'socSize', type: 'number', label: 'Die Size', unit: 'mm²', compare: 'lower', category: 'General Info' },
+  { key: 'socket', type: 'string', label: 'Package', category: null },
+  { key: 'family', type: 'string', label: 'Family', category: null },
+
+  // CPU
+  { key: 'numCores', type: 'integer', label: 'CPU Cores', compare: 'higher', category: 'CPU Performance', required: true },
+  { key: 'numThreads', type: 'integer', label: 'CPU Threads', compare: 'higher', category: 'CPU Performance' },
+  { key: 'frequency', type: 'number', label: 'Max Frequency', unit: 'GHz', compare: 'higher', category: 'CPU Performance', required: true },
+  { key: 'l1CacheInstruction', type: 'integer', label: 'L1 Instruction Cache', unit: 'KB', category: null },
+  { key: 'l1CacheData', type: 'integer', label: 'L1 Data Cache', unit: 'KB', category: null },
+  { key: 'l2Cache', type: 'number', label: 'L2 Cache', unit: 'MB', compare: 'higher', category: 'CPU Performance' },
+  { key: 'l3Cache', type: 'number', label: 'L3 Cache', unit: 'MB', compare: 'higher', category: 'CPU Performance' },
+  { key: 'instructionSet', type: 'string', label: 'Architecture', category: 'CPU Performance' },
+  { key: 'microarchitecture', type: 'string', label: 'Core Configuration', category: 'CPU Performance' },
+  {
+    key: 'primeCores', type: 'integer', label: 'Prime Cores', compare: 'higher', category: 'CPU Performance',
+    computed: true, derive: soc => countTierCores(soc, 'prime'), note: 'parsed from the core configuration',
+  },
+  {
+    key: 'performanceCores', type: 'integer', label: 'Performance Cores', compare: 'higher', category: 'CPU Performance',
+    computed: true, derive: soc => countTierCores(soc, 'performance'), note: 'parsed from the core configuration',
+  },
+  {
+    key: 'efficiencyCores', type: 'integer', label: 'Efficiency Cores', category: 'CPU Performance',
+    computed: true, derive: soc => countTierCores(soc, 'efficiency'), note: 'parsed from the core configuration',
+  },
+  {
+    key: 'weightedCoreCount', type: 'number', label: 'Tier-Weighted Cores', compare: 'higher', category: 'CPU Performance',
+    computed: true, derive: deriveWeightedCoreCount, note: 'prime ×1.0, performance ×0.7, efficiency ×0.3',
+  },
 
-// =========================
-// UI Initialization
-// =========================
+  // Memory
+  { key: 'memoryType', type: 'string', label: 'Memory Type', category: 'Memory' },
+  { key: 'maxMemorySize', type: 'number', label: 'Max Memory', unit: 'GB', compare: 'higher', category: 'Memory' },
+  { key: 'memoryChannels', type: 'integer', label: 'Memory Channels', compare: 'higher', category: 'Memory' },
+  { key: 'memoryBusWidth', type: 'integer', label: 'Memory Bus Width', unit: 'bit', compare: 'higher', category: 'Memory' },
+  {
+    key: 'memoryBandwidth', type: 'number', label: 'Memory Bandwidth', unit: 'GB/s', compare: 'higher', category: 'Memory',
+    derive: deriveMemoryBandwidth, note: 'bus width × memory type peak data rate',
+  },
+  { key: 'eccMemorySupported', type: 'string', label: 'ECC Memory', category: null },
+  { key: 'storageType', type: 'string', label: 'Storage Type', category: 'Memory' },
+
+  // Graphics
+  { key: 'gpuName', type: 'string', label: 'GPU Model', category: 'Graphics' },
+  { key: 'gpuCores', type: 'integer', label: 'GPU Cores', compare: 'higher', category: 'Graphics' },
+  { key: 'gpuClock', type: 'number', label: 'GPU Clock', unit: 'MHz', compare: 'higher', category: 'Graphics' },
+  { key: 'gpuFP32', type: 'number', label: 'GPU FP32', unit: 'GFLOPS', compare: 'higher', category: 'Graphics' },
+  {
+    key: 'gpuFP32PerCore', type: 'number', label: 'FP32 per GPU Core', unit: 'GFLOPS', compare: 'higher', category: 'Graphics',
+    computed: true, derive: soc => deriveRatio(soc.gpuFP32, soc.gpuCores), note: 'GPU FP32 ÷ GPU cores',
+  },
+  { key: 'gpuArchitecture', type: 'string', label: 'GPU Architecture', category: 'Graphics' },
+
+  // AI
+  { key: 'npuType', type: 'string', label: 'NPU', category: 'AI & NPU' },
+  { key: 'aiPerformanceTOPS', type: 'number', label: 'AI Performance', unit: 'TOPS', compare: 'higher', category: 'AI & NPU' },
+  { key: 'aiScore', type: 'number', label: 'AI Score', compare: 'higher', category: 'AI & NPU' },
+
+  // Connectivity
+  { key: 'modem', type: 'string', label: 'Modem', category: 'Connectivity' },
+  { key: 'wirelessModemSpeed', type: 'number', label: 'Peak Download', unit: 'Mbps', compare: 'higher', category: 'Connectivity' },
+  { key: 'wifiVersion', type: 'version', label: 'Wi-Fi', prefix: 'Wi-Fi ', compare: 'higher', category: 'Connectivity' },
+  { key: 'bluetoothVersion', type: 'version', label: 'Bluetooth', prefix: 'v', compare: 'higher', category: 'Connectivity' },
+  { key: 'supportedWirelessWLANNetworks', type: 'string', label: 'Wireless Standards', category: null },
+
+  // Camera & Media
+  { key: 'isp', type: 'string', label: 'ISP', category: 'Camera & Media' },
+  { key: 'imageSignalProcessor', type: 'string', label: 'Image Signal Processor', category: null },
+  { key: 'maxCameraResolution', type: 'number', label: 'Max Camera Resolution', unit: 'MP', compare: 'higher', category: 'Camera & Media' },
+  { key: 'cameraSupport', type: 'string', label: 'Camera Support', category: null },
+  { key: 'maxVideoResolution', type: 'string', label: 'Max Video Resolution', category: 'Camera & Media' },
+  { key: 'videoDecode', type: 'string', label: 'Video Decode', category: 'Camera & Media' },
+  { key: 'videoEncode', type: 'string', label: 'Video Encode', category: 'Camera & Media' },
+  { key: 'maxScreenResolution', type: 'string', label: 'Max Display Resolution', category: 'Camera & Media' },
+
+  // Power
+  { key: 'processNode', type: 'string', label: 'Manufacturing Process', category: 'Power' },
+  { key: 'thermalDesignPower', type: 'number', label: 'Thermal Design Power', unit: 'W', compare: 'lower', category: 'Power' },
+  { key: 'powerEfficiencyScore', type: 'number', label: 'Power Efficiency Score', compare: 'higher', category: 'Power' },
+  {
+    key: 'geekbenchPerWatt', type: 'number', label: 'Geekbench Multi per Watt', unit: 'pts/W', compare: 'higher', category: 'Power',
+    computed: true, derive: soc => deriveRatio(soc.benchmarkGeekbench6Multi, soc.thermalDesignPower), note: 'Geekbench 6 multi-core ÷ TDP',
+  },
+  {
+    key: 'antutuPerWatt', type: 'number', label: 'AnTuTu per Watt', unit: 'pts/W', compare: 'higher', category: 'Power',
+    computed: true, derive: soc => deriveRatio(soc.benchmarkAntutu10, soc.thermalDesignPower, 0), note: 'AnTuTu 10 ÷ TDP',
+  },
+
+  // Benchmarks & vendor-supplied scores (used for scoring, not rendered as rows)
+  { key: 'benchmarkGeekbench6Single', type: 'number', label: 'Geekbench 6 Single-Core', compare: 'higher', category: null },
+  { key: 'benchmarkGeekbench6Multi', type: 'number', label: 'Geekbench 6 Multi-Core', compare: 'higher', category: null },
+  { key: 'benchmarkAntutu10', type: 'number', label: 'AnTuTu 10', compare: 'higher', category: null },
+  { key: 'benchmarkGFXBenchAztec', type: 'number', label: 'GFXBench Aztec Ruins', unit: 'fps', compare: 'higher', category: null },
+  { key: 'cpuPerformanceScore', type: 'number', label: 'CPU Performance Score', compare: 'higher', category: null },
+  { key: 'gpuPerformanceScore', type: 'number', label: 'GPU Performance Score', compare: 'higher', category: null },
+  { key: 'memoryPerformanceScore', type: 'number', label: 'Memory Performance Score', compare: 'higher', category: null },
+  { key: 'efficiencyScore', type: 'number', label: 'Efficiency Score', compare: 'higher', category: null },
+  { key: 'cachePerformanceScore', type: 'number', label: 'Cache Performance Score', compare: 'higher', category: null },
+
+  // Free text
+  { key: 'features', type: 'string', label: 'Features', category: null },
+  { key: 'securityFeatures', type: 'string', label: 'Security Features', category: null },
+];
+
+// Schema lookup by field key
+const FIELD_SCHEMA_BY_KEY = FIELD_SCHEMA.reduce((map, field) => ({ ...map, [field.key]: field }), {});
 
 /**
- * Initialize UI after data is loaded
+ * Comparable fields that can be derived (memory bandwidth, per-watt and
+ * per-core ratios); these join the comparison breakdown and exports
  */
-const initializeUI = () => {
-  populateDropdowns();
-  
-  const loadingEl = document.getElementById('loading');
-  const mainEl = document.getElementById('mainContent');
-  
-  if (loadingEl) loadingEl.classList.add('hidden');
-  if (mainEl) mainEl.classList.remove('hidden');
+const getDerivedMetricFields = () => FIELD_SCHEMA.filter(field => field.derive && field.compare);
 
-  console.log(`✓ Loaded ${state.socsData.length} processors`);
-};
+/**
+ * Build table categories with their schema fields attached
+ * @returns {Array} [{ name, chartId, relativeChart, fields }]
+ */
+const getSchemaCategories = () => COMPARISON_CATEGORIES.map(category => ({
+  ...category,
+  fields: FIELD_SCHEMA.filter(field => field.category === category.name),
+}));
 
 /**
- * Populate all SoC dropdown selects
+ * Check whether a raw or normalized value counts as "not provided"
  */
-const populateDropdowns = () => {
-  const selectors = ['soc1', 'soc2'];
-  
-  selectors.forEach(id => {
-    const select = document.getElementById(id);
-    if (!select) return;
+const isBlankValue = (value) => value === undefined || value === null || `${value}`.trim() === '';
 
-    const currentValue = select.value;
-    select.innerHTML = '<option value="">Select a processor...</option>';
-    
-    state.filteredSocs.forEach((soc, index) => {
-      const option = new Option(soc.name || `SoC ${index + 1}`, index);
-      select.add(option);
-    });
+/**
+ * Coerce a raw value to the schema type
+ * @returns {*} Typed value, or null if blank/unparseable
+ */
+const coerceFieldValue = (field, value) => {
+  if (isBlankValue(value)) return null;
 
-    // Restore previous selection if valid
-    if (currentValue && state.filteredSocs[currentValue]) {
-      select.value = currentValue;
+  switch (field.type) {
+    case 'integer': {
+      const num = parseInt(value, 10);
+      return isNaN(num) ? null : num;
     }
-  });
+    case 'number': {
+      const num = parseFloat(value);
+      return isNaN(num) ? null : num;
+    }
+    default:
+      return `${value}`.trim();
+  }
+};
 
-  validateComparison();
+/**
+ * Check a raw value against its schema type (blank values are not invalid)
+ * @returns {boolean}
+ */
+const isValidFieldValue = (field, value) => {
+  if (isBlankValue(value)) return true;
+  if (field.type === 'string') return typeof value !== 'object';
+  return !isNaN(parseFloat(value)) && isFinite(value);
 };
 
 // =========================
-// Search & Filter System
+// Global State Management
 // =========================
 
-/**
- * Filter SoC list based on search term
- * @param {string} term - Search query
- */
-const filterSoCs = (term) => {
-  const query = term.toLowerCase().trim();
-  
-  if (!query) {
-    state.filteredSocs = [...state.socsData];
-  } else {
-    state.filteredSocs = state.socsData.filter(soc => {
-      const name = (soc.name || '').toLowerCase();
-      const manufacturer = (soc.manufacturer || '').toLowerCase();
-      return name.includes(query) || manufacturer.includes(query);
-    });
-  }
-  
-  populateDropdowns();
+const state = {
+  dataSources: [], // Manifest and URL-added sources
+  localSources: [], // Files imported this session, with their records
+  loadedSources: [], // Fetched payloads: [{ source, type, records }]
+  sourceStatus: {}, // Load status by source URL (see setSourceStatus)
+  socsData: [],
+  devicesData: [],
+  filteredSocs: [],
+  socsById: new Map(),
+  activeComparison: [],
+  tableView: { mode: 'absolute', baseline: 0, onlyDifferences: false }, // Comparison table display options
+  importedComparison: null, // { snapshot, drift, exportedAt, view } from an imported JSON export
+  slotCount: CONFIG.MIN_COMPARISON_SLOTS,
+  weights: { ...SCORING_WEIGHTS },
+  weightPreset: 'Balanced',
+  customPresets: {},
+  scoringMode: 'spec', // 'spec' (derived from specs) or 'measured' (benchmarks)
+  scoringStats: {},
+  validationReport: null,
+  comparisonMode: 'soc', // 'soc' (processors) or 'device' (phones)
+  deviceSelection: [], // Device ids picked in device mode
+  constraints: [], // Chip finder: [{ key, op: '<='|'>=', value }]
+  searchTerm: '',
+  leaderboard: {
+    sortKey: 'index',
+    sortDir: 'desc',
+    selected: [], // SoC ids ticked for comparison
+    ranks: {}, // id -> rank under the weights in scoredWith
+    deltas: {}, // id -> places moved by the last weight/mode change
+    scoredWith: null,
+    rows: null, // Cached rankAllSocs() result
+    rankedData: null, // state.socsData the cached rows were scored from
+  },
+  facetFilters: {}, // FACETS key -> selected values, or { min, max } for ranges
+  storageInfo: { backend: null, usage: 0, quota: 0 }, // Cache backend ('indexeddb'|'localstorage') and usage in bytes
+  hiddenCategories: [], // COMPARISON_CATEGORIES keys toggled off by the user
+  shareUrlReady: false, // URL is only rewritten once the initial link was applied
+  charts: {
+    main: null,
+    categories: {},
+    timeline: null,
+  },
+  timeline: { metric: 'index', groupBy: 'manufacturer' },
+  darkMode: false,
+  embedMode: false, // Chrome-less widget view (#...&embed=1)
+  isLoading: false,
+  serviceWorker: null, // ServiceWorkerRegistration once registered
+  isOffline: false,
+  refreshQueued: false, // Refresh data when the connection returns
 };
 
 // =========================
-// Weighted Scoring System
+// Cache Management System
 // =========================
 
+// Open IndexedDB connection (a rejected promise means "use localStorage")
+let specDbPromise = null;
+
 /**
- * Calculate comprehensive weighted performance score (0-100)
- * @param {Object} soc - SoC data object
- * @returns {number} Performance index (0-100)
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise}
  */
-const calculatePerformanceIndex = (soc) => {
-  // CPU Score (0-100) - based on cores, frequency, threads
-  const cpuScore = Math.min(100, (
-    (soc.numCores / 12) * 40 +
-    (soc.frequency / 4.0) * 40 +
-    (soc.numThreads / 16) * 20
-  ));
-
-  // GPU Score (0-100) - based on cores and clock
-  const gpuScore = Math.min(100, (
-    (soc.gpuCores / 32) * 60 +
-    (soc.gpuClock / 1000) * 40
-  ));
-
-  // Memory Score (0-100)
-  const memoryScore = Math.min(100, (
-    (soc.maxMemorySize / 24) * 50 +
-    (soc.memoryChannels / 8) * 50
-  ));
-
-  // Efficiency Score (0-100) - smaller process node is better
-  const efficiencyScore = Math.max(0, 100 - (soc.fabProcess / 10) * 10);
-
-  // Cache Score (0-100)
-  const cacheScore = Math.min(100, (
-    (soc.l2Cache / 16) * 50 +
-    (soc.l3Cache / 64) * 50
-  ));
-
-  // Apply weighted formula
-  const totalScore = (
-    cpuScore * (SCORING_WEIGHTS.cpu / 100) +
-    gpuScore * (SCORING_WEIGHTS.gpu / 100) +
-    memoryScore * (SCORING_WEIGHTS.memory / 100) +
-    efficiencyScore * (SCORING_WEIGHTS.efficiency / 100) +
-    cacheScore * (SCORING_WEIGHTS.cache / 100)
-  );
-
-  return Math.round(totalScore * 10) / 10; // Round to 1 decimal
-};
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
 
 /**
- * Calculate detailed comparison scores and breakdown
- * @param {Object} soc1 - First SoC
- * @param {Object} soc2 - Second SoC
- * @returns {Object} Detailed comparison results
+ * Resolve when an IndexedDB transaction commits
+ * @param {IDBTransaction} tx
+ * @returns {Promise}
  */
-const calculateDetailedComparison = (soc1, soc2) => {
-  const metrics = {
-    frequency: { a: soc1.frequency, b: soc2.frequency, higher: true, label: 'CPU Clock' },
-    cores: { a: soc1.numCores, b: soc2.numCores, higher: true, label: 'Core Count' },
-    process: { a: soc1.fabProcess, b: soc2.fabProcess, higher: false, label: 'Process Node' },
-    gpu: { a: soc1.gpuCores, b: soc2.gpuCores, higher: true, label: 'GPU Cores' },
-    cache: { a: soc1.l2Cache + soc1.l3Cache, b: soc2.l2Cache + soc2.l3Cache, higher: true, label: 'Total Cache' },
-    threads: { a: soc1.numThreads, b: soc2.numThreads, higher: true, label: 'Thread Count' },
-  };
-
-  let categoryWins1 = 0;
-  let categoryWins2 = 0;
-  const breakdown = {};
+const idbTransactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
 
-  // Calculate category winners
-  Object.entries(metrics).forEach(([key, data]) => {
-    if (data.higher) {
-      if (data.a > data.b) {
-        categoryWins1++;
-        breakdown[key] = { winner: 1, diff: data.a - data.b };
-      } else if (data.b > data.a) {
-        categoryWins2++;
-        breakdown[key] = { winner: 2, diff: data.b - data.a };
-      } else {
-        breakdown[key] = { winner: 0, diff: 0 };
-      }
-    } else {
-      if (data.a < data.b) {
-        categoryWins1++;
-        breakdown[key] = { winner: 1, diff: data.b - data.a };
-      } else if (data.b < data.a) {
-        categoryWins2++;
-        breakdown[key] = { winner: 2, diff: data.a - data.b };
-      } else {
-        breakdown[key] = { winner: 0, diff: 0 };
+/**
+ * Open the spec database. Stores:
+ *   meta    - { key: 'envelope', version, savedAt }
+ *   sources - one entry per source: validators, fetchedAt, recordCount (no records)
+ *   records - one entry per record, indexed by source, id, manufacturer and launch year
+ * @returns {Promise<IDBDatabase>}
+ */
+const openSpecDb = () => {
+  if (!specDbPromise) {
+    specDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
       }
-    }
-  });
 
-  // Calculate performance indices
-  const perfIndex1 = calculatePerformanceIndex(soc1);
-  const perfIndex2 = calculatePerformanceIndex(soc2);
+      const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+        if (!db.objectStoreNames.contains('sources')) db.createObjectStore('sources', { keyPath: 'source' });
+        const records = db.objectStoreNames.contains('records')
+          ? request.transaction.objectStore('records')
+          : db.createObjectStore('records', { keyPath: 'uid' });
+        ['source', 'id', 'manufacturer', 'launch'].forEach((index) => {
+          if (!records.indexNames.contains(index)) records.createIndex(index, index);
+        });
+        // Records stored before an upgrade may lack index keys; start over
+        if (event.oldVersion) ['meta', 'sources', 'records'].forEach(store => request.transaction.objectStore(store).clear());
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+    });
+    specDbPromise.catch(error => console.warn(`IndexedDB unavailable (${error.message}), using localStorage`));
+  }
+  return specDbPromise;
+};
+
+/**
+ * Index keys for a stored record. SoC records use their normalized values;
+ * device records use their name, brand (first word) and announcement year.
+ * @param {Object} record - Raw record
+ * @param {string} type - 'soc' or 'device'
+ * @returns {Object} { id, manufacturer, launch } (undefined keys are not indexed)
+ */
+const getRecordIndexKeys = (record, type) => {
+  if (type === 'device') {
+    const year = `${record.announced || ''}`.match(/\b(19|20)\d{2}\b/);
+    return {
+      id: slugify(record.id || record.name) || undefined,
+      manufacturer: `${record.name || ''}`.split(' ')[0] || undefined,
+      launch: year ? parseInt(year[0], 10) : undefined,
+    };
+  }
 
+  const { id, manufacturer, launch } = normalizeChipData(record);
   return {
-    categoryWins1,
-    categoryWins2,
-    perfIndex1,
-    perfIndex2,
-    breakdown,
-    metrics,
+    id: id || undefined,
+    manufacturer: manufacturer || undefined,
+    launch: launch === null ? undefined : launch,
   };
 };
 
-// =========================
-// Comparison Execution
-// =========================
-
 /**
- * Execute comparison between selected SoCs
+ * Write source payloads to IndexedDB. Only sources whose content hash
+ * changed have their records rewritten; sources no longer present are removed.
+ * @param {Array} data - Source payloads
  */
-const executeComparison = () => {
-  const sel1 = document.getElementById('soc1');
-  const sel2 = document.getElementById('soc2');
-
-  if (!sel1 || !sel2) return;
-
-  const idx1 = parseInt(sel1.value, 10);
-  const idx2 = parseInt(sel2.value, 10);
+const writeSpecDb = async (data) => {
+  const db = await openSpecDb();
+  const existing = await idbRequest(db.transaction('sources').objectStore('sources').getAll());
+  const tx = db.transaction(['meta', 'sources', 'records'], 'readwrite');
+  const sources = tx.objectStore('sources');
+  const records = tx.objectStore('records');
+
+  // Record uids are `${source}#${order}`; a range delete is queued ahead of the puts below
+  const deleteRecords = (source) => records.delete(IDBKeyRange.bound(`${source}#`, `${source}#\uffff`));
+
+  existing
+    .filter(entry => !data.some(({ source }) => source === entry.source))
+    .forEach((entry) => {
+      sources.delete(entry.source);
+      deleteRecords(entry.source);
+    });
 
-  if (isNaN(idx1) || isNaN(idx2) || idx1 === idx2) {
-    showErrorMessage('Please select two different processors');
-    return;
-  }
+  data.forEach(({ records: sourceRecords, ...payload }) => {
+    const previous = existing.find(entry => entry.source === payload.source);
+    sources.put({ ...payload, recordCount: sourceRecords.length });
+    if (previous && previous.hash && previous.hash === payload.hash) return;
+
+    if (previous) deleteRecords(payload.source);
+    sourceRecords.forEach((record, order) => {
+      records.put({
+        uid: `${payload.source}#${order}`,
+        source: payload.source,
+        order,
+        ...getRecordIndexKeys(record, payload.type),
+        record,
+      });
+    });
+  });
 
-  const soc1 = state.filteredSocs[idx1];
-  const soc2 = state.filteredSocs[idx2];
+  tx.objectStore('meta').put({ key: 'envelope', version: CONFIG.CACHE_VERSION, savedAt: Date.now() });
+  await idbTransactionDone(tx);
+};
 
-  if (!soc1 || !soc2) {
-    showErrorMessage('Invalid processor selection');
-    return;
+/**
+ * Read source payloads back from IndexedDB
+ * @returns {Promise<Array|null>} Payloads, or null if empty or written by another CONFIG.CACHE_VERSION
+ */
+const readSpecDb = async () => {
+  const db = await openSpecDb();
+  const tx = db.transaction(['meta', 'sources']);
+  const [envelope, sources] = await Promise.all([
+    idbRequest(tx.objectStore('meta').get('envelope')),
+    idbRequest(tx.objectStore('sources').getAll()),
+  ]);
+
+  if (!envelope) return null;
+  if (envelope.version !== CONFIG.CACHE_VERSION) {
+    console.log('✓ Discarding cache from an older version');
+    return null;
   }
 
-  // Calculate comprehensive comparison
-  const results = calculateDetailedComparison(soc1, soc2);
-
-  // Save comparison to localStorage
-  saveLastComparison(idx1, idx2);
-
-  // Update UI sections
-  displayWinnerBanner(results, soc1, soc2);
-  displayScoreCards(results, soc1, soc2);
-  displayComparisonTable(soc1, soc2, results);
-  displayPerformanceRadar(soc1, soc2);
-
-  // Scroll to results
-  scrollToResults();
+  return Promise.all(sources.map(async ({ recordCount, ...payload }) => ({
+    ...payload,
+    records: (await findCachedRecords('source', payload.source)).map(entry => entry.record),
+  })));
 };
 
-// =========================
-// UI Display Functions
-// =========================
-
 /**
- * Display winner banner with animation
+ * Look up cached records through an IndexedDB index, in their original
+ * order within each source
+ * @param {string} index - 'id', 'manufacturer', 'launch' or 'source'
+ * @param {*} value - Exact key to match (e.g. 'MediaTek' or 2023)
+ * @returns {Promise<Array>} [{ source, record }]
+ * @throws {Error} Without IndexedDB
  */
-const displayWinnerBanner = (results, soc1, soc2) => {
-  const banner = document.getElementById('winner');
-  const titleEl = document.getElementById('winnerText');
-  const subtextEl = document.getElementById('winnerSubtext');
-
-  if (!banner || !titleEl || !subtextEl) return;
+const findCachedRecords = async (index, value) => {
+  const db = await openSpecDb();
+  const entries = await idbRequest(db.transaction('records').objectStore('records').index(index).getAll(value));
+  return entries
+    .sort((a, b) => a.source.localeCompare(b.source) || a.order - b.order)
+    .map(({ source, record }) => ({ source, record }));
+};
 
-  let title, subtext;
+/**
+ * Check for a storage quota error (names differ between browsers)
+ * @returns {boolean}
+ */
+const isQuotaError = (error) => !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
 
-  if (results.perfIndex1 > results.perfIndex2) {
-    title = `🏆 ${soc1.name} Wins!`;
-    subtext = `Performance Index: ${results.perfIndex1} vs ${results.perfIndex2} | Wins ${results.categoryWins1}/${results.categoryWins1 + results.categoryWins2} categories`;
-  } else if (results.perfIndex2 > results.perfIndex1) {
-    title = `🏆 ${soc2.name} Wins!`;
-    subtext = `Performance Index: ${results.perfIndex2} vs ${results.perfIndex1} | Wins ${results.categoryWins2}/${results.categoryWins1 + results.categoryWins2} categories`;
-  } else {
-    title = '🤝 Perfect Tie!';
-    subtext = `Both processors score ${results.perfIndex1} | Evenly matched across all metrics`;
+/**
+ * Save fetched source payloads. Uses IndexedDB, falling back to a
+ * versioned localStorage envelope. Each payload keeps its validators
+ * (etag, lastModified, hash) and fetchedAt so sources can be revalidated
+ * individually. A full store is reported to the user.
+ * @param {Array} data - [{ source, type, records, etag, lastModified, hash, fetchedAt }]
+ */
+const cacheData = async (data) => {
+  try {
+    await writeSpecDb(data);
+    state.storageInfo.backend = 'indexeddb';
+    // Drop a localStorage copy left from before IndexedDB was used
+    localStorage.removeItem(CONFIG.CACHE_KEY);
+    console.log('✓ Data cached successfully');
+  } catch (dbError) {
+    if (isQuotaError(dbError)) {
+      showErrorMessage('Offline storage is full - specs will be downloaded again next visit');
+      console.warn('Cache storage failed:', dbError.message);
+    } else {
+      try {
+        const envelope = { version: CONFIG.CACHE_VERSION, savedAt: Date.now(), sources: data };
+        localStorage.setItem(CONFIG.CACHE_KEY, JSON.stringify(envelope));
+        state.storageInfo.backend = 'localstorage';
+        console.log('✓ Data cached successfully');
+      } catch (error) {
+        if (isQuotaError(error)) {
+          showErrorMessage('Offline storage is full - specs will be downloaded again next visit');
+        }
+        console.warn('Cache storage failed:', error.message);
+      }
+    }
   }
-
-  titleEl.textContent = title;
-  subtextEl.textContent = subtext;
-  banner.classList.remove('hidden');
+  updateStorageUsage();
 };
 
 /**
- * Display score cards with performance indices
+ * Retrieve cached source payloads from IndexedDB, or the localStorage
+ * envelope without it. Stale entries are still returned (they are
+ * revalidated in the background); only data written by another
+ * CONFIG.CACHE_VERSION is discarded.
+ * @returns {Promise<Array|null>} Cached payloads or null if missing/incompatible
  */
-const displayScoreCards = (results, soc1, soc2) => {
-  const cardsSection = document.getElementById('scoreCards');
-  if (!cardsSection) return;
+const getCachedData = async () => {
+  try {
+    const stored = await readSpecDb();
+    state.storageInfo.backend = 'indexeddb';
+    if (stored && stored.length) {
+      console.log('✓ Using cached data');
+      return stored;
+    }
+  } catch (error) {
+    state.storageInfo.backend = 'localstorage';
+  }
 
-  const score1El = document.getElementById('score1');
-  const score2El = document.getElementById('score2');
-  const name1El = document.getElementById('soc1Name');
-  const name2El = document.getElementById('soc2Name');
+  // localStorage fallback (also picks up caches written before IndexedDB)
+  try {
+    const envelope = JSON.parse(localStorage.getItem(CONFIG.CACHE_KEY) || 'null');
+    if (!envelope) return null;
 
-  if (score1El) score1El.textContent = results.perfIndex1;
-  if (score2El) score2El.textContent = results.perfIndex2;
-  if (name1El) name1El.textContent = soc1.name;
-  if (name2El) name2El.textContent = soc2.name;
+    if (envelope.version !== CONFIG.CACHE_VERSION || !Array.isArray(envelope.sources)) {
+      console.log('✓ Discarding cache from an older version');
+      return null;
+    }
 
-  cardsSection.classList.remove('hidden');
+    console.log('✓ Using cached data');
+    return envelope.sources;
+  } catch (error) {
+    console.warn('Cache retrieval failed:', error.message);
+  }
+  return null;
 };
 
 /**
- * Generate SVG icons for categories
+ * Check whether a cached payload is due for revalidation
+ * @param {Object} payload - Cached source payload
+ * @returns {boolean}
  */
-const getCategoryIcon = (category) => {
-  const icons = {
-    'General Info': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clip-rule="evenodd"></path></svg>',
-    'CPU Performance': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path d="M13 7H7v6h6V7z"></path><path fill-rule="evenodd" d="M7 2a1 1 0 012 0v1h2V2a1 1 0 112 0v1h2a2 2 0 012 2v2h1a1 1 0 110 2h-1v2h1a1 1 0 110 2h-1v2a2 2 0 01-2 2h-2v1a1 1 0 11-2 0v-1H9v1a1 1 0 11-2 0v-1H5a2 2 0 01-2-2v-2H2a1 1 0 110-2h1V9H2a1 1 0 010-2h1V5a2 2 0 012-2h2V2zM5 5h10v10H5V5z" clip-rule="evenodd"></path></svg>',
-    'Memory': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path d="M3 12v3c0 1.657 3.134 3 7 3s7-1.343 7-3v-3c0 1.657-3.134 3-7 3s-7-1.343-7-3z"></path><path d="M3 7v3c0 1.657 3.134 3 7 3s7-1.343 7-3V7c0 1.657-3.134 3-7 3S3 8.657 3 7z"></path><path d="M17 5c0 1.657-3.134 3-7 3S3 6.657 3 5s3.134-3 7-3 7 1.343 7 3z"></path></svg>',
-    'Graphics': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M4 3a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V5a2 2 0 00-2-2H4zm12 12H4l4-8 3 6 2-4 3 6z" clip-rule="evenodd"></path></svg>',
-  };
-  return icons[category] || icons['General Info'];
+const isStalePayload = (payload) => !payload.fetchedAt || Date.now() - payload.fetchedAt >= CONFIG.CACHE_REVALIDATE_AFTER;
+
+/**
+ * Clear all cached data
+ */
+const clearCache = async () => {
+  localStorage.removeItem(CONFIG.CACHE_KEY);
+  try {
+    const db = await openSpecDb();
+    const tx = db.transaction(['meta', 'sources', 'records'], 'readwrite');
+    ['meta', 'sources', 'records'].forEach(name => tx.objectStore(name).clear());
+    await idbTransactionDone(tx);
+  } catch (error) {
+    // Nothing stored without IndexedDB
+  }
+  await purgeServiceWorkerCaches();
+  updateStorageUsage();
+  console.log('✓ Cache cleared');
 };
 
 /**
- * Display detailed comparison table
+ * Approximate localStorage usage of this origin (UTF-16, 2 bytes per char)
+ * @returns {number} Bytes
  */
-const displayComparisonTable = (soc1, soc2, results) => {
-  const resultContainer = document.getElementById('result');
-  if (!resultContainer) return;
+const getLocalStorageUsage = () => {
+  let chars = 0;
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    chars += key.length + (localStorage.getItem(key) || '').length;
+  }
+  return chars * 2;
+};
 
-  // Destroy existing category charts
-  destroyCategoryCharts();
+/**
+ * Refresh state.storageInfo with usage and quota of the active backend
+ * and re-render the sources panel
+ */
+const updateStorageUsage = async () => {
+  let usage = getLocalStorageUsage();
+  let quota = CONFIG.LOCAL_STORAGE_QUOTA;
 
-  const categories = [
-    {
-      name: 'General Info',
-      chartId: 'generalChart',
-      fields: [
-        { label: 'Processor Name', key: 'name' },
-        { label: 'Manufacturer', key: 'manufacturer' },
-        { label: 'Launch Date', key: 'launch' },
-        { label: 'Process Node', key: 'fabProcess', unit: 'nm', compare: 'lower' },
-        { label: 'Die Size', key: 'socSize', unit: 'mm²', compare: 'lower' },
-      ],
-    },
-    {
-      name: 'CPU Performance',
-      chartId: 'cpuChart',
-      fields: [
-        { label: 'CPU Cores', key: 'numCores', compare: 'higher' },
-        { label: 'CPU Threads', key: 'numThreads', compare: 'higher' },
-        { label: 'Max Frequency', key: 'frequency', unit: 'GHz', compare: 'higher' },
-        { label: 'L2 Cache', key: 'l2Cache', unit: 'MB', compare: 'higher' },
-        { label: 'L3 Cache', key: 'l3Cache', unit: 'MB', compare: 'higher' },
-        { label: 'Architecture', key: 'architecture' },
-      ],
-    },
-    {
-      name: 'Memory',
-      chartId: 'memoryChart',
-      fields: [
-        { label: 'Memory Type', key: 'memoryType' },
-        { label: 'Max Memory', key: 'maxMemorySize', unit: 'GB', compare: 'higher' },
-        { label: 'Memory Channels', key: 'memoryChannels', compare: 'higher' },
-        { label: 'Memory Bandwidth', key: 'memoryBandwidth', unit: 'GB/s', compare: 'higher' },
-      ],
-    },
-    {
-      name: 'Graphics',
-      chartId: 'graphicsChart',
-      fields: [
-        { label: 'GPU Model', key: 'gpuName' },
-        { label: 'GPU Cores', key: 'gpuCores', compare: 'higher' },
-        { label: 'GPU Clock', key: 'gpuClock', unit: 'MHz', compare: 'higher' },
-        { label: 'GPU Architecture', key: 'gpuArchitecture' },
-      ],
-    },
-  ];
+  if (state.storageInfo.backend === 'indexeddb' && navigator.storage && navigator.storage.estimate) {
+    try {
+      ({ usage, quota } = await navigator.storage.estimate());
+    } catch (e) {
+      // Keep the localStorage figures
+    }
+  }
 
-  let html = '<div class="bg-white rounded-2xl shadow-xl overflow-hidden">';
+  state.storageInfo = { ...state.storageInfo, usage, quota };
+  renderSourcesPanel();
+};
 
-  categories.forEach(({ name, chartId, fields }) => {
-    html += `
-      <div class="bg-gradient-to-r from-purple-600 to-pink-600 text-white px-6 py-4">
-        <div class="flex items-center justify-center">
-          <span class="mr-3">${getCategoryIcon(name)}</span>
-          <h3 class="text-2xl font-bold">${name}</h3>
-        </div>
-      </div>
-      <div class="overflow-x-auto">
-        <table class="w-full">
-          <thead class="bg-gray-50">
-            <tr>
-              <th class="px-6 py-4 text-left text-sm font-bold text-gray-700">Specification</th>
-              <th class="px-6 py-4 text-center text-sm font-bold text-purple-700">${soc1.name}</th>
-              <th class="px-6 py-4 text-center text-sm font-bold text-pink-700">${soc2.name}</th>
-            </tr>
-          </thead>
-          <tbody>`;
+/**
+ * Format a byte count for display
+ * @returns {string}
+ */
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+};
 
-    fields.forEach(({ label, key, unit, compare }) => {
-      const val1 = soc1[key] !== undefined && soc1[key] !== '' ? soc1[key] : 'N/A';
-      const val2 = soc2[key] !== undefined && soc2[key] !== '' ? soc2[key] : 'N/A';
-      
-      let class1 = '';
-      let class2 = '';
-
-      // Highlight winner if comparable
-      if (compare && val1 !== 'N/A' && val2 !== 'N/A') {
-        const num1 = parseFloat(val1);
-        const num2 = parseFloat(val2);
-
-        if (!isNaN(num1) && !isNaN(num2)) {
-          if (compare === 'higher') {
-            class1 = num1 > num2 ? 'bg-green-100 font-bold text-green-900' : num1 < num2 ? 'bg-red-50 text-red-700' : '';
-            class2 = num2 > num1 ? 'bg-green-100 font-bold text-green-900' : num2 < num1 ? 'bg-red-50 text-red-700' : '';
-          } else {
-            class1 = num1 < num2 ? 'bg-green-100 font-bold text-green-900' : num1 > num2 ? 'bg-red-50 text-red-700' : '';
-            class2 = num2 < num1 ? 'bg-green-100 font-bold text-green-900' : num2 > num1 ? 'bg-red-50 text-red-700' : '';
-          }
-        }
-      }
+// =========================
+// Data Sources
+// =========================
 
-      const display1 = val1 !== 'N/A' && unit ? `${val1} ${unit}` : val1;
-      const display2 = val2 !== 'N/A' && unit ? `${val2} ${unit}` : val2;
+/**
+ * Load per-source preferences: enable/disable overrides by source id and
+ * sources added by URL
+ * @returns {Object} { overrides: { id: boolean }, custom: [{ id, name, url, type }] }
+ */
+const getSourcePrefs = () => {
+  try {
+    const prefs = JSON.parse(localStorage.getItem(CONFIG.SOURCE_PREFS_KEY) || 'null');
+    if (prefs && typeof prefs === 'object') {
+      return {
+        overrides: prefs.overrides && typeof prefs.overrides === 'object' ? prefs.overrides : {},
+        custom: Array.isArray(prefs.custom) ? prefs.custom : [],
+      };
+    }
+  } catch (e) {
+    console.warn('Failed to restore data source preferences', e);
+  }
+  return { overrides: {}, custom: [] };
+};
 
-      html += `
-        <tr class="border-b hover:bg-gray-50 transition">
-          <td class="px-6 py-4 font-semibold text-gray-700">${label}</td>
-          <td class="px-6 py-4 text-center ${class1}">${display1}</td>
-          <td class="px-6 py-4 text-center ${class2}">${display2}</td>
-        </tr>`;
+/**
+ * Persist enable/disable state of listed sources and URL-added sources
+ */
+const saveSourcePrefs = () => {
+  const prefs = getSourcePrefs();
+  const overrides = {};
+  state.dataSources.forEach(({ id, enabled }) => { overrides[id] = enabled; });
+  const custom = state.dataSources
+    .filter(source => source.custom)
+    .map(({ id, name, url, type }) => ({ id, name, url, type }));
+
+  try {
+    localStorage.setItem(CONFIG.SOURCE_PREFS_KEY, JSON.stringify({ overrides: { ...prefs.overrides, ...overrides }, custom }));
+  } catch (e) {
+    console.warn('Failed to save data source preferences', e);
+  }
+};
+
+/**
+ * Parse a dataset manifest. Format:
+ *   { "version": 1, "datasets": [{ "id", "name", "url", "type", "enabled" }] }
+ * (a bare array of datasets is accepted too). Only `url` is required; it
+ * may be relative to the manifest. `type` is 'soc' (default) or 'device'.
+ * @param {Object|Array} manifest - Parsed manifest JSON
+ * @param {string} baseUrl - URL the manifest was loaded from
+ * @returns {Array} Data sources
+ */
+const parseManifest = (manifest, baseUrl) => {
+  const datasets = Array.isArray(manifest) ? manifest : (manifest && manifest.datasets) || [];
+
+  return datasets.reduce((sources, entry) => {
+    if (!entry || typeof entry.url !== 'string' || !entry.url.trim()) {
+      console.warn('Skipping manifest entry without a url', entry);
+      return sources;
+    }
+
+    const url = new URL(entry.url.trim(), baseUrl).href;
+    const id = slugify(entry.id) || slugify(entry.name) || slugify(getSourceDisplayName(url).replace(/\.json$/i, ''));
+    if (sources.some(source => source.id === id)) {
+      console.warn(`Skipping duplicate manifest entry "${id}"`);
+      return sources;
+    }
+
+    sources.push({
+      id,
+      name: entry.name || getSourceDisplayName(url),
+      url,
+      type: entry.type === 'device' ? 'device' : 'soc',
+      enabled: entry.enabled !== false,
     });
+    return sources;
+  }, []);
+};
 
-    html += `
-          </tbody>
-        </table>
-      </div>
-      <div class="p-6 bg-gray-50 border-b-4 border-purple-100">
-        <div class="flex items-center gap-2 mb-3">
-          <svg class="w-5 h-5 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"/>
-          </svg>
-          <h4 class="text-lg font-bold text-gray-800">${name} Comparison</h4>
-        </div>
-        <div class="category-chart-container">
-          <canvas id="${chartId}"></canvas>
-        </div>
-      </div>`;
+/**
+ * Build state.dataSources from the manifest (falling back to
+ * CONFIG.DATA_SOURCES when it can't be loaded), URL-added sources and
+ * the stored enable/disable overrides
+ */
+const resolveDataSources = async () => {
+  const manifestUrl = new URL(CONFIG.MANIFEST_URL, window.location.href).href;
+  let sources;
+
+  try {
+    const res = await fetch(manifestUrl, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    sources = parseManifest(await res.json(), manifestUrl);
+    if (!sources.length) throw new Error('no datasets listed');
+  } catch (error) {
+    console.warn(`Dataset manifest unavailable (${error.message}), using built-in sources`);
+    sources = parseManifest(CONFIG.DATA_SOURCES, window.location.href);
+  }
+
+  const prefs = getSourcePrefs();
+  prefs.custom.forEach((source) => {
+    if (!sources.some(({ id }) => id === source.id)) sources.push({ ...source, enabled: true, custom: true });
   });
 
-  html += '</div>';
-  resultContainer.innerHTML = html;
+  state.dataSources = sources.map(source => ({
+    ...source,
+    enabled: typeof prefs.overrides[source.id] === 'boolean' ? prefs.overrides[source.id] : source.enabled,
+  }));
+};
 
-  // Create category charts after DOM update
-  setTimeout(() => {
-    categories.forEach(({ name, chartId, fields }) => {
-      createCategoryChart(chartId, name, soc1, soc2, fields);
-    });
-  }, 100);
+/**
+ * Enabled sources from the list and imported local files
+ * @returns {Array} Data sources
+ */
+const getEnabledSources = () => [...state.dataSources, ...state.localSources].filter(source => source.enabled);
+
+/**
+ * Guess whether a file holds SoC records or device (phone) records
+ * @param {Array} records - Raw records
+ * @returns {string} 'soc' or 'device'
+ */
+const detectSourceType = (records) => (
+  records.length && records.every(record => record.chipset && record.numCores === undefined) ? 'device' : 'soc'
+);
+
+/**
+ * Read records from a data file payload (array, { socs } or { devices })
+ * @returns {Array} Raw records
+ */
+const extractRecords = (data) => {
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.socs)) return data.socs;
+  if (data && Array.isArray(data.devices)) return data.devices;
+  return [];
 };
 
 /**
- * Create individual category comparison chart
+ * Import JSON files from a file picker or drop into the current session.
+ * Imported files are kept in memory only; re-importing a file replaces it.
+ * @param {FileList|File[]} files - Files to import
  */
-const createCategoryChart = (canvasId, categoryName, soc1, soc2, fields) => {
-  const canvas = document.getElementById(canvasId);
-  if (!canvas) {
-    console.warn(`Canvas not found: ${canvasId}`);
+const importSourceFiles = async (files) => {
+  let imported = 0;
+
+  for (const file of Array.from(files)) {
+    try {
+      const records = extractRecords(JSON.parse(await file.text()));
+      if (!records.length) throw new Error('no records found');
+
+      const url = `local:${file.name}`;
+      state.localSources = state.localSources.filter(source => source.url !== url);
+      state.localSources.push({
+        id: `local-${slugify(file.name)}`,
+        name: file.name,
+        url,
+        type: detectSourceType(records),
+        enabled: true,
+        local: true,
+        records,
+      });
+      imported++;
+    } catch (error) {
+      showErrorMessage(`Could not import ${file.name}: ${error.message}`);
+    }
+  }
+
+  if (imported) await refreshSources();
+};
+
+/**
+ * Add a remote or relative data file URL as a source
+ * @param {string} input - URL entered by the user
+ */
+const addSourceUrl = async (input) => {
+  const value = `${input || ''}`.trim();
+  if (!value) return;
+
+  let url;
+  try {
+    url = new URL(value, window.location.href).href;
+  } catch (e) {
+    showErrorMessage(`Invalid data source URL: ${value}`);
     return;
   }
 
-  // Destroy existing chart
-  if (state.charts.categories[canvasId]) {
-    state.charts.categories[canvasId].destroy();
+  if (getSourceByUrl(url)) {
+    showErrorMessage(`${getSourceDisplayName(url)} is already a data source`);
+    return;
   }
 
-  const labels = [];
-  const data1 = [];
-  const data2 = [];
+  const name = getSourceDisplayName(url);
+  state.dataSources.push({ id: `url-${slugify(url)}`, name, url, type: 'soc', enabled: true, custom: true });
+  saveSourcePrefs();
+  await refreshSources();
+};
 
-  fields.forEach(({ label, key, compare }) => {
-    if (!compare) return; // Skip non-numeric fields
+/**
+ * Remove a URL-added or imported source
+ * @param {string} id - Source id
+ */
+const removeSource = async (id) => {
+  state.localSources = state.localSources.filter(source => source.id !== id);
+  state.dataSources = state.dataSources.filter(source => !(source.custom && source.id === id));
+  saveSourcePrefs();
+  await refreshSources();
+};
 
-    const val1 = parseFloat(soc1[key]) || 0;
-    const val2 = parseFloat(soc2[key]) || 0;
+/**
+ * Enable or disable a source
+ * @param {string} id - Source id
+ */
+const toggleSource = async (id) => {
+  const source = [...state.dataSources, ...state.localSources].find(s => s.id === id);
+  if (!source) return;
+  source.enabled = !source.enabled;
+  if (!source.local) saveSourcePrefs();
+  await refreshSources();
+};
+
+/**
+ * Find a listed or imported source by URL
+ * @returns {Object|undefined}
+ */
+const getSourceByUrl = (url) => [...state.dataSources, ...state.localSources].find(source => source.url === url);
 
-    if (val1 === 0 && val2 === 0) return;
+/**
+ * Re-apply the enabled sources after the list changed. Only sources that
+ * were never fetched trigger a network load (failed ones wait for an
+ * explicit retry); everything else is re-merged from memory, keeping the
+ * current selection where it still exists.
+ */
+const refreshSources = async () => {
+  const fetched = state.loadedSources.map(({ source }) => source);
+  const missing = getEnabledSources().some(source => !source.local
+    && !fetched.includes(source.url)
+    && (state.sourceStatus[source.url] || {}).status !== 'failed');
+
+  if (missing) {
+    await loadSoCs();
+  } else {
+    reapplySources();
+  }
 
-    labels.push(label);
+  renderSourcesPanel();
+  const diagnostics = document.getElementById('diagnosticsPanel');
+  if (diagnostics && !diagnostics.classList.contains('hidden')) renderDiagnosticsPanel();
+};
 
-    // Invert values for "lower is better" metrics
-    if (compare === 'lower') {
-      data1.push(val1 > 0 ? 100 - Math.min(val1, 100) : 0);
-      data2.push(val2 > 0 ? 100 - Math.min(val2, 100) : 0);
-    } else {
-      data1.push(val1);
-      data2.push(val2);
-    }
+/**
+ * Describe a source's load status for the sources panel
+ * @param {Object} source - Data source
+ * @returns {Object} { text, cls }
+ */
+const describeSourceStatus = (source) => {
+  const records = (count) => `${count} record${count === 1 ? '' : 's'}`;
+  if (source.local) return { text: `Local file · ${records(source.records.length)}`, cls: 'text-gray-500' };
+
+  const file = getSourceDisplayName(source.url);
+  const { status, recordCount, attempts, duration, error, checkedAt, checkError } = state.sourceStatus[source.url] || {};
+  const retries = attempts > 1 ? ` after ${attempts} attempts` : '';
+  // A failed background update check leaves the loaded records in use
+  const stale = checkError ? { text: `${file} · ✓ ${records(recordCount)} (update check failed: ${checkError})`, cls: 'text-amber-700' } : null;
+
+  switch (status) {
+    case 'loading':
+      return { text: `${file} · Loading...`, cls: 'text-gray-500' };
+    case 'loaded':
+      return stale || { text: `${file} · ✓ ${records(recordCount)} in ${duration}ms${retries}`, cls: 'text-green-700' };
+    case 'cached':
+      return stale || { text: `${file} · ✓ ${records(recordCount)} (${checkedAt ? 'cached, up to date' : 'cached'})`, cls: 'text-green-700' };
+    case 'failed':
+      return { text: `${file} · ✗ ${error}${retries}`, cls: 'text-red-700' };
+    default:
+      return { text: `${file}${source.enabled ? '' : ' · Disabled'}`, cls: 'text-gray-500' };
+  }
+};
+
+/**
+ * Retry every enabled source that failed to load
+ */
+const retryFailedSources = async () => {
+  await loadSoCs();
+  const diagnostics = document.getElementById('diagnosticsPanel');
+  if (diagnostics && !diagnostics.classList.contains('hidden')) renderDiagnosticsPanel();
+};
+
+/**
+ * Storage backend and quota usage line for the sources panel
+ * @returns {string} HTML
+ */
+const renderStorageUsage = () => {
+  const { backend, usage, quota } = state.storageInfo;
+  if (!backend) return '';
+
+  const percent = quota ? Math.min(100, (usage / quota) * 100) : 0;
+  const color = percent >= 90 ? 'bg-red-500' : percent >= 70 ? 'bg-amber-500' : 'bg-purple-500';
+  return `
+      <div class="mt-4 text-xs text-gray-500">
+        <div class="flex justify-between mb-1">
+          <span>Offline storage: ${backend === 'indexeddb' ? 'IndexedDB' : 'localStorage'}</span>
+          <span>${formatBytes(usage)}${quota ? ` of ${formatBytes(quota)} (${percent.toFixed(1)}%)` : ''}</span>
+        </div>
+        <div class="h-1.5 bg-gray-200 rounded-full overflow-hidden"><div class="h-full ${color}" style="width:${percent}%"></div></div>
+        ${percent >= 90 ? '<div class="mt-1 text-red-700 font-semibold">Storage almost full - disable unused sources or clear the cache</div>' : ''}
+      </div>`;
+};
+
+/**
+ * Render the data source list with per-source load status, URL input and
+ * file drop zone into #sourcesPanel
+ */
+const renderSourcesPanel = () => {
+  const panel = document.getElementById('sourcesPanel');
+  if (!panel) return;
+
+  const remote = state.dataSources.filter(source => source.enabled);
+  const loaded = remote.filter(({ url }) => ['loaded', 'cached'].includes((state.sourceStatus[url] || {}).status));
+  const failed = remote.filter(({ url }) => (state.sourceStatus[url] || {}).status === 'failed');
+
+  const rows = [...state.dataSources, ...state.localSources].map((source) => {
+    const status = describeSourceStatus(source);
+    const canRetry = source.enabled && (state.sourceStatus[source.url] || {}).status === 'failed';
+    return `
+      <li class="flex items-center gap-3 py-2 border-b last:border-b-0">
+        <input type="checkbox" data-source-toggle="${escapeHtml(source.id)}" ${source.enabled ? 'checked' : ''} class="w-4 h-4 accent-purple-600">
+        <div class="flex-1 min-w-0">
+          <div class="font-semibold text-gray-800 truncate" title="${escapeHtml(source.url)}">${escapeHtml(source.name)}</div>
+          <div class="text-xs ${status.cls}">${escapeHtml(status.text)}</div>
+        </div>
+        ${canRetry ? '<button type="button" data-source-retry class="px-2 py-0.5 text-xs font-semibold text-purple-700 border border-purple-300 rounded-lg hover:bg-purple-50 transition">Retry</button>' : ''}
+        <span class="px-2 py-0.5 rounded-full text-xs font-semibold ${source.type === 'device' ? 'bg-blue-100 text-blue-700' : 'bg-purple-100 text-purple-700'}">${source.type === 'device' ? 'Devices' : 'SoCs'}</span>
+        ${source.custom || source.local ? `<button type="button" data-source-remove="${escapeHtml(source.id)}" class="px-2 text-gray-400 hover:text-red-600 transition" title="Remove source">✕</button>` : ''}
+      </li>`;
+  }).join('');
+
+  panel.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <div class="flex items-baseline justify-between mb-2">
+        <h4 class="text-lg font-bold text-gray-800">Data Sources</h4>
+        <span class="text-sm ${failed.length ? 'text-red-700' : 'text-gray-500'}">${loaded.length} of ${remote.length} loaded${failed.length ? `, ${failed.length} failed` : ''}</span>
+      </div>
+      <ul>${rows || '<li class="py-2 text-gray-500">No data sources configured.</li>'}</ul>
+      <div class="flex gap-2 mt-4">
+        <input id="sourceUrlInput" type="text" placeholder="specs/my-chips.json or https://..." class="flex-1 px-3 py-2 border-2 border-gray-200 rounded-lg focus:border-purple-500 focus:outline-none">
+        <button type="button" id="addSourceBtn" class="px-4 py-2 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-700 transition">Add URL</button>
+      </div>
+      <label id="sourceDropZone" class="block mt-4 p-6 border-2 border-dashed border-gray-300 rounded-xl text-center text-gray-500 cursor-pointer hover:border-purple-400 transition">
+        Drop JSON files here or click to import (this session only)
+        <input id="sourceFileInput" type="file" accept=".json,application/json" multiple class="hidden">
+      </label>
+      ${renderStorageUsage()}
+    </div>`;
+
+  panel.querySelectorAll('[data-source-toggle]').forEach((input) => {
+    input.addEventListener('change', () => toggleSource(input.dataset.sourceToggle));
+  });
+  panel.querySelectorAll('[data-source-retry]').forEach((btn) => {
+    btn.addEventListener('click', retryFailedSources);
+  });
+  panel.querySelectorAll('[data-source-remove]').forEach((btn) => {
+    btn.addEventListener('click', () => removeSource(btn.dataset.sourceRemove));
   });
 
-  if (labels.length === 0) return;
+  const urlInput = document.getElementById('sourceUrlInput');
+  document.getElementById('addSourceBtn').addEventListener('click', () => addSourceUrl(urlInput.value));
+  urlInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addSourceUrl(urlInput.value);
+  });
 
-  state.charts.categories[canvasId] = new Chart(canvas, {
-    type: 'bar',
-    data: {
-      labels,
-      datasets: [
-        {
-          label: soc1.name,
-          data: data1,
-          backgroundColor: 'rgba(147, 51, 234, 0.7)',
-          borderColor: 'rgb(147, 51, 234)',
-          borderWidth: 2,
-          borderRadius: 8,
-        },
-        {
-          label: soc2.name,
-          data: data2,
-          backgroundColor: 'rgba(236, 72, 153, 0.7)',
-          borderColor: 'rgb(236, 72, 153)',
-          borderWidth: 2,
-          borderRadius: 8,
-        },
-      ],
-    },
-    options: {
-      indexAxis: 'y',
-      responsive: true,
-      maintainAspectRatio: false,
-      plugins: {
-        legend: {
-          position: 'top',
-          labels: {
-            font: { size: 12, weight: 'bold' },
-            usePointStyle: true,
-          },
-        },
-        tooltip: {
-          backgroundColor: 'rgba(0,0,0,0.8)',
-          padding: 10,
-          cornerRadius: 6,
-        },
-      },
-      scales: {
-        x: {
-          beginAtZero: true,
-          grid: { color: '#e5e7eb' },
-        },
-      y: {
-        grid: { display: false },
-      },
-    },
-  },
-});
+  const fileInput = document.getElementById('sourceFileInput');
+  fileInput.addEventListener('change', () => importSourceFiles(fileInput.files));
+
+  const dropZone = document.getElementById('sourceDropZone');
+  dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('border-purple-500', 'bg-purple-50');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('border-purple-500', 'bg-purple-50'));
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('border-purple-500', 'bg-purple-50');
+    if (e.dataTransfer && e.dataTransfer.files.length) importSourceFiles(e.dataTransfer.files);
+  });
+};
+
+/**
+ * Show/hide the data sources panel
+ */
+const toggleSourcesPanel = () => {
+  const panel = document.getElementById('sourcesPanel');
+  if (!panel) return;
+  const show = panel.classList.contains('hidden');
+  if (show) renderSourcesPanel();
+  panel.classList.toggle('hidden', !show);
+};
 
 // =========================
-// Chart & DOM Cleanup
+// Data Loading & Processing
 // =========================
 
 /**
- * Destroy category charts
+ * Wait for a number of milliseconds
+ * @returns {Promise}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * fetch() that gives up after CONFIG.FETCH_TIMEOUT
+ * @param {string} url - Resource URL
+ * @param {Object} options - fetch() options
+ * @returns {Promise<Response>}
+ */
+const fetchWithTimeout = async (url, options = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CONFIG.FETCH_TIMEOUT);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Timed out after ${CONFIG.FETCH_TIMEOUT / 1000}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Hash response text (32-bit FNV-1a) to detect changed sources when the
+ * server exposes no usable validators
+ * @param {string} text - Response body
+ * @returns {string} Hex hash
+ */
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Build conditional request options from a cached payload. Validator
+ * headers are only sent same-origin: cross-origin they would force a CORS
+ * preflight, so there the browser's own HTTP cache revalidates instead.
+ * @param {string} url - Source URL
+ * @param {Object} cached - Cached payload (or undefined)
+ * @returns {Object} fetch() options
+ */
+const getConditionalOptions = (url, cached) => {
+  if (!cached) return {};
+  const headers = {};
+  if (new URL(url, window.location.href).origin === window.location.origin) {
+    if (cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  }
+  return { cache: 'no-cache', headers };
+};
+
+/**
+ * Fetch one data source, retrying network errors, timeouts and 5xx/429
+ * responses up to CONFIG.FETCH_RETRIES times with exponential backoff.
+ * Missing files and malformed JSON fail immediately.
+ * @param {Object} source - Data source ({ url, type })
+ * @param {Object} cached - Cached payload to revalidate against (optional)
+ * @returns {Promise<Object>} { payload: { source, type, records, etag, lastModified, hash, fetchedAt },
+ *   changed, attempts, duration } (rejections carry `attempts`)
+ */
+const fetchSource = async ({ url, type }, cached) => {
+  const started = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const res = await fetchWithTimeout(url, getConditionalOptions(url, cached));
+      const result = { attempts: attempt, duration: Date.now() - started };
+
+      if (res.status === 304 && cached) {
+        return { ...result, payload: { ...cached, fetchedAt: Date.now() }, changed: false };
+      }
+      if (!res.ok) {
+        const error = new Error(`HTTP ${res.status}`);
+        error.retryable = res.status >= 500 || res.status === 429;
+        throw error;
+      }
+
+      const text = await res.text();
+      const hash = hashText(text);
+      if (cached && cached.hash === hash) {
+        return { ...result, payload: { ...cached, fetchedAt: Date.now() }, changed: false };
+      }
+
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        const error = new Error(`Malformed JSON (${e.message})`);
+        error.retryable = false;
+        throw error;
+      }
+
+      return {
+        ...result,
+        payload: {
+          source: url,
+          type,
+          records: extractRecords(data),
+          etag: res.headers.get('ETag'),
+          lastModified: res.headers.get('Last-Modified'),
+          hash,
+          fetchedAt: Date.now(),
+        },
+        changed: true,
+      };
+    } catch (error) {
+      error.attempts = attempt;
+      if (error.retryable === false || attempt > CONFIG.FETCH_RETRIES) throw error;
+      await delay(CONFIG.FETCH_RETRY_DELAY * 2 ** (attempt - 1));
+    }
+  }
+};
+
+/**
+ * Record the load status of a source for the sources panel
+ * @param {string} url - Source URL
+ * @param {Object} status - { status: 'loading'|'loaded'|'cached'|'failed', recordCount, attempts, duration, error }
+ */
+const setSourceStatus = (url, status) => {
+  state.sourceStatus[url] = status;
+};
+
+/**
+ * Resolve the data sources, then load their records from cache or network.
+ * Sources load independently: a failing file is reported in the sources
+ * panel while every file that did load is still used. Cached sources are
+ * shown immediately and revalidated in the background.
+ */
+const loadSoCs = async () => {
+  await resolveDataSources();
+  precacheForOffline();
+  const remote = getEnabledSources().filter(source => !source.local);
+
+  // Start from the cache, then fetch only the sources it doesn't hold
+  const cached = await getCachedData();
+  if (cached && !state.loadedSources.length) {
+    state.loadedSources = cached;
+    cached.forEach(({ source, records }) => setSourceStatus(source, { status: 'cached', recordCount: records.length }));
+  }
+  const pending = remote.filter(({ url }) => !state.loadedSources.some(({ source }) => source === url));
+
+  if (pending.length) {
+    // Show loading indicator
+    showLoadingSpinner(true);
+    pending.forEach(({ url }) => setSourceStatus(url, { status: 'loading' }));
+    renderSourcesPanel();
+
+    const results = await Promise.allSettled(pending.map(source => fetchSource(source)));
+    let failed = 0;
+
+    results.forEach((result, i) => {
+      const { url } = pending[i];
+      if (result.status === 'fulfilled') {
+        const { payload, attempts, duration } = result.value;
+        state.loadedSources = [...state.loadedSources.filter(({ source }) => source !== url), payload];
+        setSourceStatus(url, { status: 'loaded', recordCount: payload.records.length, attempts, duration });
+      } else {
+        failed++;
+        setSourceStatus(url, { status: 'failed', error: result.reason.message, attempts: result.reason.attempts });
+        console.error(`Load error (${getSourceDisplayName(url)}):`, result.reason);
+      }
+    });
+
+    // Cache the loaded data
+    if (failed < pending.length) cacheData(state.loadedSources);
+    showLoadingSpinner(false);
+
+    if (failed) {
+      showErrorMessage(`${failed} of ${remote.length} data source${remote.length === 1 ? '' : 's'} failed to load - see Data Sources for details`);
+    }
+  }
+
+  if (ingestSources()) {
+    initializeUI();
+    // Restore shared link or last comparison once, at startup (slots must be
+    // populated first). Later reloads keep the user's current slots.
+    if (!state.shareUrlReady) restoreInitialComparison();
+    else refreshActiveComparison();
+  } else {
+    showErrorMessage('Failed to load database: no SoC data found in any source');
+  }
+
+  renderSourcesPanel();
+  // Runs in the background; a failed check must not surface as an unhandled rejection
+  revalidateSources().catch(e => console.warn('Background revalidation failed', e));
+};
+
+/**
+ * Compare two versions of a source's records by id (or name)
+ * @param {Array} before - Previous raw records
+ * @param {Array} after - New raw records
+ * @returns {Object} { added, updated, removed } record keys
+ */
+const diffRecords = (before, after) => {
+  const key = record => record.id || slugify(record.name);
+  const previous = new Map(before.map(record => [key(record), JSON.stringify(record)]));
+  const next = new Map(after.map(record => [key(record), JSON.stringify(record)]));
+
+  return {
+    added: [...next.keys()].filter(k => !previous.has(k)),
+    updated: [...next.keys()].filter(k => previous.has(k) && previous.get(k) !== next.get(k)),
+    removed: [...previous.keys()].filter(k => !next.has(k)),
+  };
+};
+
+/**
+ * Re-merge loaded sources into the UI, keeping the current selection and
+ * re-running an active comparison against the new records
+ */
+const reapplySources = () => {
+  if (!ingestSources()) showErrorMessage('The enabled data sources contain no SoC records');
+  initializeUI();
+  refreshActiveComparison();
+};
+
+/**
+ * Re-render the comparison on screen from the reloaded records. Unlike
+ * executeComparison this leaves the saved selection, URL and scroll
+ * position alone, since it runs after background refreshes. An imported
+ * snapshot stays as exported.
+ */
+const refreshActiveComparison = () => {
+  if (!state.activeComparison.length) return;
+  if (state.importedComparison && state.importedComparison.view === 'snapshot') return;
+  const socs = getSelectedSocs();
+  if (isValidSelection(socs.map(soc => soc.id))) renderComparison(socs);
+};
+
+/**
+ * Stale-while-revalidate: re-check stale cached sources in the background
+ * while the cached data stays on screen, then merge only the sources that
+ * changed and tell the user what arrived
+ * @param {boolean} force - Re-check every cached source, stale or not
+ */
+const revalidateSources = async (force = false) => {
+  const stale = state.dataSources
+    .filter(source => source.enabled)
+    .map(source => ({ source, cached: state.loadedSources.find(({ source: url }) => url === source.url) }))
+    .filter(({ cached }) => cached && (force || isStalePayload(cached)));
+  if (!stale.length) return;
+
+  const results = await Promise.allSettled(stale.map(({ source, cached }) => fetchSource(source, cached)));
+  const updates = [];
+
+  results.forEach((result, i) => {
+    const { source, cached } = stale[i];
+    if (result.status === 'rejected') {
+      setSourceStatus(source.url, { ...state.sourceStatus[source.url], checkError: result.reason.message });
+      console.warn(`Revalidation failed (${getSourceDisplayName(source.url)}):`, result.reason.message);
+      return;
+    }
+
+    const { payload, changed, attempts, duration } = result.value;
+    state.loadedSources = state.loadedSources.map(entry => (entry.source === source.url ? payload : entry));
+
+    if (changed) {
+      setSourceStatus(source.url, { status: 'loaded', recordCount: payload.records.length, attempts, duration });
+      updates.push({ source, ...diffRecords(cached.records, payload.records) });
+    } else {
+      setSourceStatus(source.url, { status: 'cached', recordCount: payload.records.length, checkedAt: Date.now() });
+    }
+  });
+
+  // Stores the new fetchedAt of unchanged sources too
+  if (results.some(({ status }) => status === 'fulfilled')) cacheData(state.loadedSources);
+
+  if (updates.length) {
+    reapplySources();
+    const summary = updates.map(({ source, added, updated, removed }) => {
+      const parts = [
+        updated.length && `${updated.length} updated`,
+        added.length && `${added.length} new`,
+        removed.length && `${removed.length} removed`,
+      ].filter(Boolean);
+      return `${source.name} (${parts.join(', ') || 'reformatted'})`;
+    });
+    showNotice(`Newer specs arrived: ${summary.join('; ')}`);
+  }
+
+  renderSourcesPanel();
+};
+
+/**
+ * Merge the enabled fetched and imported sources into state.socsData
+ * (and state.devicesData for device sources), rebuilding the validation report
+ * @returns {boolean} True if any SoC records were loaded
+ */
+const ingestSources = () => {
+  // Source list order decides which record wins a duplicate id
+  const sources = [
+    ...state.dataSources
+      .filter(source => source.enabled)
+      .map(({ url }) => state.loadedSources.find(({ source }) => source === url))
+      .filter(Boolean),
+    ...state.localSources
+      .filter(source => source.enabled)
+      .map(({ url, type, records }) => ({ source: url, type, records })),
+  ];
+
+  // Remember where each record came from
+  const withSource = ({ source, records }) => records.map(record => ({ ...record, _source: source }));
+  const socSources = sources.filter(({ type }) => type !== 'device');
+  const allSocs = socSources.flatMap(withSource);
+
+  // Validate raw records, then normalize and resolve duplicate ids
+  const { socs: uniqueSocs, duplicates } = dedupeSocsById(allSocs.map(normalizeChipData));
+  state.validationReport = { ...buildValidationReport(socSources), duplicates };
+  state.socsData = uniqueSocs;
+  state.filteredSocs = [...state.socsData];
+  state.devicesData = sources.filter(({ type }) => type === 'device').flatMap(withSource).map(normalizeDeviceData);
+
+  return state.socsData.length > 0;
+};
+
+/**
+ * Drop records whose id was already defined by another record. Later
+ * sources override earlier ones, so a local spec file can replace a
+ * published record by reusing its id. Records with neither id nor name
+ * can't be told apart and are skipped (the validation report lists them
+ * as missing required fields).
+ * @param {Array} socs - Normalized records in source order
+ * @returns {Object} { socs, duplicates: [{ id, sources, kept }] }
+ */
+const dedupeSocsById = (socs) => {
+  const byId = new Map();
+  const seen = new Map();
+
+  const identified = socs.filter(soc => !isBlankValue(soc.id));
+  if (identified.length < socs.length) {
+    console.warn(`Skipped ${socs.length - identified.length} record(s) without an id or name`);
+  }
+
+  identified.forEach((soc) => {
+    if (!seen.has(soc.id)) seen.set(soc.id, []);
+    seen.get(soc.id).push(soc._source);
+    // Re-inserting keeps the first position but takes the later record
+    byId.set(soc.id, soc);
+  });
+
+  const duplicates = [];
+  seen.forEach((sources, id) => {
+    if (sources.length > 1) {
+      duplicates.push({ id, sources, kept: byId.get(id)._source });
+      console.warn(`Duplicate SoC id "${id}" in ${sources.map(getSourceDisplayName).join(', ')}`);
+    }
+  });
+
+  return { socs: [...byId.values()], duplicates };
+};
+
+/**
+ * Rebuild the id -> record lookup for state.socsData
+ */
+const indexSocsById = () => {
+  state.socsById = new Map(state.socsData.map(soc => [soc.id, soc]));
+};
+
+/**
+ * Look up a loaded SoC by its stable id (independent of the search filter)
+ * @returns {Object|undefined}
+ */
+const findSocById = (id) => state.socsById.get(id);
+
+/**
+ * Normalize SoC data structure for consistent processing.
+ * Schema fields are coerced to their type; missing or unparseable values
+ * become null (rendered as N/A), unknown fields pass through untouched.
+ * Keys of values filled in by a derivation are listed in `_derived`.
+ * @param {Object} soc - Raw SoC data
+ * @returns {Object} Normalized SoC object
+ */
+const normalizeChipData = (soc) => {
+  const normalized = { ...soc };
+  const derived = [];
+
+  FIELD_SCHEMA.forEach((field) => {
+    normalized[field.key] = field.computed ? null : coerceFieldValue(field, soc[field.key]);
+  });
+
+  // Derivations run on typed values, after every source field is coerced
+  FIELD_SCHEMA.forEach((field) => {
+    if (!field.derive || normalized[field.key] !== null) return;
+    const value = coerceFieldValue(field, field.derive(normalized));
+    if (value !== null) {
+      normalized[field.key] = value;
+      derived.push(field.key);
+    }
+  });
+
+  normalized._derived = derived;
+  return normalized;
+};
+
+// =========================
+// Data Validation Report
+// =========================
+
+/**
+ * Validate one raw record against FIELD_SCHEMA
+ * @param {Object} soc - Raw SoC data
+ * @returns {Object} { missingRequired, missingOptional, invalid, unknown } field lists
+ */
+const validateChipRecord = (soc) => {
+  const issues = { missingRequired: [], missingOptional: [], invalid: [], unknown: [] };
+
+  FIELD_SCHEMA.forEach((field) => {
+    if (field.computed) return;
+    const value = soc[field.key];
+    if (isBlankValue(value)) {
+      // Optional derivable fields are only a problem if derivation fails too
+      if (field.derive && !field.required && !isBlankValue(field.derive(soc))) return;
+      issues[field.required ? 'missingRequired' : 'missingOptional'].push(field.key);
+    } else if (!isValidFieldValue(field, value)) {
+      issues.invalid.push({ field: field.key, value, expected: field.type });
+    }
+  });
+
+  Object.keys(soc).forEach((key) => {
+    // Underscore-prefixed keys are added by the loader (e.g. _source)
+    if (!FIELD_SCHEMA_BY_KEY[key] && !key.startsWith('_')) issues.unknown.push(key);
+  });
+
+  return issues;
+};
+
+/**
+ * Build the validation report for a load, one entry per source file
+ * @param {Array} sources - [{ source, records }] with raw records
+ * @returns {Object} { generatedAt, sources: [{ source, recordCount, missingRequired, missingOptional, invalid, unknown }] }
+ *   (the loader adds `duplicates` once ids are resolved across sources)
+ */
+const buildValidationReport = (sources) => ({
+  generatedAt: new Date().toISOString(),
+  sources: sources.map(({ source, records }) => {
+    const entry = {
+      source,
+      recordCount: records.length,
+      missingRequired: [],
+      missingOptional: [],
+      invalid: [],
+      unknown: [],
+    };
+
+    records.forEach((soc, i) => {
+      const record = soc.id || soc.name || `#${i + 1}`;
+      const issues = validateChipRecord(soc);
+      issues.missingRequired.forEach(field => entry.missingRequired.push({ record, field }));
+      issues.missingOptional.forEach(field => entry.missingOptional.push({ record, field }));
+      issues.invalid.forEach(issue => entry.invalid.push({ record, ...issue }));
+      issues.unknown.forEach(field => entry.unknown.push({ record, field }));
+    });
+
+    return entry;
+  }),
+});
+
+/**
+ * Short display name for a source URL (file name)
+ */
+const getSourceDisplayName = (source) => `${source || ''}`.split('/').pop() || 'unknown source';
+
+/**
+ * Render the validation report into #diagnosticsPanel
+ */
+const renderDiagnosticsPanel = () => {
+  const panel = document.getElementById('diagnosticsPanel');
+  if (!panel) return;
+
+  const report = state.validationReport;
+  if (!report || !report.sources.length) {
+    panel.innerHTML = '<div class="p-6 bg-white rounded-2xl shadow-md text-gray-500">No validation report available yet.</div>';
+    return;
+  }
+
+  const list = (items, format) => (items.length
+    ? `<ul class="mt-1 ml-4 list-disc text-sm text-gray-600">${items.map(item => `<li>${format(item)}</li>`).join('')}</ul>`
+    : '');
+
+  const sections = report.sources.map((entry) => {
+    const counts = [
+      ['Missing required', entry.missingRequired.length, 'text-red-700'],
+      ['Invalid', entry.invalid.length, 'text-red-700'],
+      ['Unknown', entry.unknown.length, 'text-amber-700'],
+      ['Missing optional', entry.missingOptional.length, 'text-gray-600'],
+    ];
+
+    return `
+      <div class="border-b last:border-b-0 py-4">
+        <div class="flex flex-wrap items-baseline justify-between gap-2">
+          <h5 class="font-bold text-gray-800">${escapeHtml(getSourceDisplayName(entry.source))}</h5>
+          <span class="text-sm text-gray-500">${entry.recordCount} record${entry.recordCount === 1 ? '' : 's'}</span>
+        </div>
+        <div class="flex flex-wrap gap-4 mt-2 text-sm">
+          ${counts.map(([label, count, cls]) => `<span class="${count ? cls : 'text-green-700'} font-semibold">${label}: ${count}</span>`).join('')}
+        </div>
+        ${list(entry.missingRequired, ({ record, field }) => `<strong>${escapeHtml(record)}</strong>: required field <code>${escapeHtml(field)}</code> is missing`)}
+        ${list(entry.invalid, ({ record, field, value, expected }) => `<strong>${escapeHtml(record)}</strong>: <code>${escapeHtml(field)}</code> = "${escapeHtml(value)}" is not a valid ${expected}`)}
+        ${list(entry.unknown, ({ record, field }) => `<strong>${escapeHtml(record)}</strong>: unknown field <code>${escapeHtml(field)}</code>`)}
+        ${list(entry.missingOptional, ({ record, field }) => `<strong>${escapeHtml(record)}</strong>: <code>${escapeHtml(field)}</code> not provided`)}
+      </div>`;
+  }).join('');
+
+  const duplicates = report.duplicates || [];
+  const duplicateSection = duplicates.length ? `
+      <div class="border-b py-4">
+        <h5 class="font-bold text-amber-700">Duplicate IDs: ${duplicates.length}</h5>
+        ${list(duplicates, ({ id, sources, kept }) => `<code>${escapeHtml(id)}</code> defined in ${escapeHtml(sources.map(getSourceDisplayName).join(', '))} - using ${escapeHtml(getSourceDisplayName(kept))}`)}
+      </div>` : '';
+
+  panel.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <div class="flex items-baseline justify-between mb-2">
+        <h4 class="text-lg font-bold text-gray-800">Data Validation Report</h4>
+        <span class="text-xs text-gray-400">Generated ${new Date(report.generatedAt).toLocaleString()}</span>
+      </div>
+      ${duplicateSection}
+      ${sections}
+    </div>`;
+};
+
+/**
+ * Show/hide the diagnostics panel
+ */
+const toggleDiagnosticsPanel = () => {
+  const panel = document.getElementById('diagnosticsPanel');
+  if (!panel) return;
+  const show = panel.classList.contains('hidden');
+  if (show) renderDiagnosticsPanel();
+  panel.classList.toggle('hidden', !show);
+};
+
+// =========================
+// UI Initialization
+// =========================
+
+/**
+ * Initialize UI after data is loaded
+ */
+const initializeUI = () => {
+  indexSocsById();
+  // Dataset-wide statistics must exist before anything is scored
+  computeScoringStats();
+  // Re-applies the current search and facets to the new data
+  applyFilters();
+  renderLeaderboard();
+  renderModeToggle();
+  if (state.comparisonMode === 'device') renderDeviceComparison();
+  renderRecommendations();
+  renderChipFinder();
+  renderTimeline();
+  
+  const loadingEl = document.getElementById('loading');
+  const mainEl = document.getElementById('mainContent');
+  
+  if (loadingEl) loadingEl.classList.add('hidden');
+  // The widget view keeps the rest of the page hidden
+  if (mainEl && !state.embedMode) mainEl.classList.remove('hidden');
+
+  console.log(`✓ Loaded ${state.socsData.length} processors`);
+};
+
+/**
+ * Get an rgba() color string for a comparison slot
+ * @param {number} slot - Zero-based slot index
+ * @param {number} alpha - Opacity (0-1)
+ * @returns {string} CSS color
+ */
+const getSlotColor = (slot, alpha = 1) => `rgba(${SLOT_COLORS[slot % SLOT_COLORS.length]}, ${alpha})`;
+
+/**
+ * Get the select elements of all active comparison slots (soc1..socN)
+ * @returns {HTMLSelectElement[]}
+ */
+const getSlotSelects = () => Array.from(
+  { length: state.slotCount },
+  (_, i) => document.getElementById(`soc${i + 1}`)
+).filter(Boolean);
+
+/**
+ * Get the selected SoC id of every active slot ('' for empty slots)
+ * @returns {string[]}
+ */
+const getSelectedSlotValues = () => getSlotSelects().map(select => select.value);
+
+/**
+ * Resolve the SoCs currently chosen in the slots (empty slots skipped)
+ * @returns {Array} Selected SoC objects
+ */
+const getSelectedSocs = () => getSelectedSlotValues()
+  .filter(id => id !== '')
+  .map(findSocById)
+  .filter(Boolean);
+
+/**
+ * Render slot selects with add/remove controls into #socSlots.
+ * Pages without the container keep their static soc1/soc2 selects.
+ * @param {string[]} values - SoC ids to restore after rendering
+ */
+const renderComparisonSlots = (values = getSelectedSlotValues()) => {
+  const container = document.getElementById('socSlots');
+  if (!container) return;
+
+  const removable = state.slotCount > CONFIG.MIN_COMPARISON_SLOTS;
+  let html = '';
+
+  for (let i = 0; i < state.slotCount; i++) {
+    html += `
+      <div class="flex items-center gap-2">
+        <span class="w-3 h-3 rounded-full flex-shrink-0" style="background:${getSlotColor(i)}"></span>
+        <select id="soc${i + 1}" class="flex-1 px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-purple-500 focus:outline-none"></select>
+        ${removable ? `<button type="button" class="remove-slot-btn px-3 py-2 text-gray-400 hover:text-red-600 transition" data-slot="${i}" title="Remove processor">✕</button>` : ''}
+      </div>`;
+  }
+
+  container.innerHTML = html;
+
+  getSlotSelects().forEach(select => select.addEventListener('change', handleSlotChange));
+  container.querySelectorAll('.remove-slot-btn').forEach(btn => {
+    btn.addEventListener('click', () => removeComparisonSlot(parseInt(btn.dataset.slot, 10)));
+  });
+
+  const addBtn = document.getElementById('addSlotBtn');
+  if (addBtn) addBtn.disabled = state.slotCount >= CONFIG.MAX_COMPARISON_SLOTS;
+
+  setSlotSelections(values);
+};
+
+/**
+ * Select SoCs by id in the slots (unknown ids leave the slot empty)
+ * @param {string[]} ids - One id per slot
+ */
+const setSlotSelections = (ids) => {
+  getSlotSelects().forEach((select, i) => {
+    select.dataset.selected = ids[i] && findSocById(ids[i]) ? ids[i] : '';
+  });
+  populateDropdowns();
+};
+
+/**
+ * React to a slot selection change
+ */
+const handleSlotChange = () => {
+  // A manual selection replaces an imported comparison
+  if (state.importedComparison) dismissImportedComparison();
+  validateComparison();
+  updateShareUrl();
+  renderRecommendations();
+};
+
+/**
+ * Add an empty comparison slot (up to MAX_COMPARISON_SLOTS)
+ */
+const addComparisonSlot = () => {
+  if (state.slotCount >= CONFIG.MAX_COMPARISON_SLOTS) return;
+  const values = getSelectedSlotValues();
+  state.slotCount++;
+  renderComparisonSlots(values);
+};
+
+/**
+ * Remove a comparison slot, shifting later selections up
+ * @param {number} slot - Zero-based slot index
+ */
+const removeComparisonSlot = (slot) => {
+  if (state.slotCount <= CONFIG.MIN_COMPARISON_SLOTS) return;
+  const values = getSelectedSlotValues();
+  values.splice(slot, 1);
+  state.slotCount--;
+  renderComparisonSlots(values);
+  updateShareUrl();
+};
+
+/**
+ * Populate all SoC dropdown selects
+ * Options are keyed by SoC id, so filtering never changes what a slot
+ * points at. A selected SoC hidden by the filter stays listed in its slot.
+ */
+const populateDropdowns = () => {
+  getSlotSelects().forEach(select => {
+    // A pending selection (setSlotSelections) wins over the current value
+    const currentValue = select.dataset.selected !== undefined ? select.dataset.selected : select.value;
+    delete select.dataset.selected;
+    select.innerHTML = '<option value="">Select a processor...</option>';
+
+    const selectedSoc = currentValue ? findSocById(currentValue) : null;
+    if (selectedSoc && !state.filteredSocs.includes(selectedSoc)) {
+      select.add(new Option(`${selectedSoc.name} (filtered out)`, selectedSoc.id));
+    }
+    
+    state.filteredSocs.forEach((soc, index) => {
+      const option = new Option(soc.name || `SoC ${index + 1}`, soc.id);
+      select.add(option);
+    });
+
+    // Restore previous selection if valid
+    if (selectedSoc) {
+      select.value = currentValue;
+    }
+  });
+
+  validateComparison();
+};
+
+// =========================
+// Search & Filter System
+// =========================
+
+// GPU families by vendor, matched against gpuName
+const GPU_VENDOR_PATTERNS = [
+  { pattern: /adreno/i, name: 'Qualcomm' },
+  { pattern: /mali|immortalis/i, name: 'Arm' },
+  { pattern: /powervr|img\b/i, name: 'Imagination' },
+  { pattern: /xclipse/i, name: 'Samsung' },
+  { pattern: /maleoon/i, name: 'Huawei' },
+  { pattern: /apple/i, name: 'Apple' },
+];
+
+/**
+ * GPU vendor from the GPU model name
+ * @returns {string|null}
+ */
+const getGpuVendor = (soc) => {
+  if (!soc.gpuName) return null;
+  const match = GPU_VENDOR_PATTERNS.find(({ pattern }) => pattern.test(soc.gpuName));
+  return match ? match.name : 'Other';
+};
+
+/**
+ * Cellular generation from the modem description (or features list)
+ * @returns {string|null}
+ */
+const getModemGeneration = (soc) => {
+  const text = `${soc.modem || ''} ${soc.features || ''}`;
+  if (/\b5G\b/i.test(text)) return '5G';
+  return soc.modem ? '4G / Other' : null;
+};
+
+// Filter facets. 'values' facets list the distinct values in the dataset
+// (OR within a facet); 'range' facets filter a numeric field by min/max.
+// Facets combine with each other and the text search (AND).
+const FACETS = [
+  { key: 'launch', label: 'Launch Year', type: 'range', step: 1 },
+  { key: 'fabProcess', label: 'Process Node', type: 'values', format: value => `${value} nm` },
+  { key: 'instructionSet', label: 'Instruction Set', type: 'values' },
+  { key: 'memoryType', label: 'Memory Type', type: 'values' },
+  { key: 'gpuVendor', label: 'GPU Vendor', type: 'values', value: getGpuVendor },
+  { key: 'modemGeneration', label: 'Modem', type: 'values', value: getModemGeneration },
+  { key: 'numCores', label: 'CPU Cores', type: 'range', step: 1 },
+  { key: 'frequency', label: 'Max CPU Clock', unit: 'GHz', type: 'range', step: 0.05 },
+  { key: 'aiPerformanceTOPS', label: 'AI Performance', unit: 'TOPS', type: 'range', step: 1 },
+];
+
+// Fields covered by the text search, with their relevance weight
+const SEARCH_FIELDS = [
+  { key: 'name', weight: 3 },
+  { key: 'id', weight: 2 },
+  { key: 'manufacturer', weight: 2 },
+  { key: 'gpuName', weight: 1 },
+  { key: 'processNode', weight: 1 },
+];
+
+/**
+ * Read a facet's value from a SoC
+ * @returns {*} Value or null
+ */
+const getFacetValue = (facet, soc) => {
+  const value = facet.value ? facet.value(soc) : soc[facet.key];
+  return value === undefined ? null : value;
+};
+
+/**
+ * Check whether a facet has an active selection
+ * @returns {boolean}
+ */
+const isFacetActive = (facet) => {
+  const filter = state.facetFilters[facet.key];
+  if (!filter) return false;
+  return facet.type === 'range' ? (filter.min !== null || filter.max !== null) : filter.length > 0;
+};
+
+/**
+ * Test a SoC against one facet. SoCs without a value only pass inactive facets.
+ * @returns {boolean}
+ */
+const matchesFacet = (facet, soc) => {
+  if (!isFacetActive(facet)) return true;
+  const filter = state.facetFilters[facet.key];
+  const value = getFacetValue(facet, soc);
+  if (value === null) return false;
+
+  if (facet.type === 'range') {
+    return (filter.min === null || value >= filter.min) && (filter.max === null || value <= filter.max);
+  }
+  return filter.includes(String(value));
+};
+
+/**
+ * Score how well a search token matches a text: substring beats word
+ * prefix beats an in-order subsequence ("sd8g3" -> "snapdragon 8 gen 3")
+ * @returns {number} 0 (no match) to 1
+ */
+const fuzzyMatchScore = (token, text) => {
+  const haystack = `${text || ''}`.toLowerCase();
+  if (!haystack) return 0;
+
+  const index = haystack.indexOf(token);
+  if (index !== -1) return index === 0 || /[^a-z0-9]/.test(haystack[index - 1]) ? 1 : 0.8;
+
+  let position = 0;
+  for (const char of token) {
+    position = haystack.indexOf(char, position) + 1;
+    if (!position) return 0;
+  }
+  // Tighter subsequences rank higher
+  return 0.5 * (token.length / Math.max(token.length, position));
+};
+
+/**
+ * Relevance of a SoC for a search query; every token must match some field
+ * @param {Object} soc - SoC data object
+ * @param {string[]} tokens - Lowercase query tokens
+ * @returns {number} 0 when a token matches nowhere
+ */
+const scoreSearchMatch = (soc, tokens) => {
+  let total = 0;
+  for (const token of tokens) {
+    const best = Math.max(...SEARCH_FIELDS.map(({ key, weight }) => fuzzyMatchScore(token, soc[key]) * weight));
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+};
+
+/**
+ * Apply the text search and facet filters to state.socsData, refresh the
+ * slot dropdowns and the facet panel. Search results are ordered by relevance.
+ */
+const applyFilters = () => {
+  const tokens = state.searchTerm.toLowerCase().split(/\s+/).filter(Boolean);
+  const scores = new Map();
+
+  state.filteredSocs = state.socsData.filter((soc) => {
+    if (!FACETS.every(facet => matchesFacet(facet, soc))) return false;
+    if (!tokens.length) return true;
+    const score = scoreSearchMatch(soc, tokens);
+    scores.set(soc, score);
+    return score > 0;
+  });
+
+  if (tokens.length) state.filteredSocs.sort((a, b) => scores.get(b) - scores.get(a));
+
+  populateDropdowns();
+  renderFacetFilters();
+};
+
+/**
+ * Filter SoC list based on search term
+ * @param {string} term - Search query
+ */
+const filterSoCs = (term) => {
+  state.searchTerm = term;
+  applyFilters();
+};
+
+/**
+ * SoCs matching the search and every facet except one, used for that
+ * facet's counts (so options within a facet don't zero each other out)
+ * @param {Object} excluded - Facet to ignore
+ * @returns {Array}
+ */
+const getFacetCandidates = (excluded) => {
+  const tokens = state.searchTerm.toLowerCase().split(/\s+/).filter(Boolean);
+  return state.socsData.filter(soc => FACETS.every(facet => facet === excluded || matchesFacet(facet, soc))
+    && (!tokens.length || scoreSearchMatch(soc, tokens) > 0));
+};
+
+/**
+ * Toggle a value of a 'values' facet
+ * @param {string} key - Facet key
+ * @param {string} value - Facet value
+ */
+const toggleFacetValue = (key, value) => {
+  const selected = state.facetFilters[key] || [];
+  state.facetFilters[key] = selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+  applyFilters();
+};
+
+/**
+ * Set one bound of a 'range' facet
+ * @param {string} key - Facet key
+ * @param {string} bound - 'min' or 'max'
+ * @param {string} input - Raw input value ('' clears the bound)
+ */
+const setFacetRange = (key, bound, input) => {
+  const value = input === '' ? null : parseFloat(input);
+  const range = state.facetFilters[key] || { min: null, max: null };
+  state.facetFilters[key] = { ...range, [bound]: Number.isNaN(value) ? null : value };
+  applyFilters();
+};
+
+/**
+ * Reset all facets (the text search is kept)
+ */
+const clearFacetFilters = () => {
+  state.facetFilters = {};
+  applyFilters();
+};
+
+/**
+ * Render facet groups with per-value counts into #facetFilters
+ */
+const renderFacetFilters = () => {
+  const container = document.getElementById('facetFilters');
+  if (!container) return;
+
+  const activeCount = FACETS.filter(isFacetActive).length;
+  const groups = FACETS.map((facet) => {
+    const candidates = getFacetCandidates(facet);
+    const values = state.socsData.map(soc => getFacetValue(facet, soc)).filter(value => value !== null);
+    if (!values.length) return '';
+
+    if (facet.type === 'range') {
+      const filter = state.facetFilters[facet.key] || { min: null, max: null };
+      const count = candidates.filter(soc => matchesFacet(facet, soc)).length;
+      const input = (bound, placeholder) => `<input type="number" step="${facet.step}" data-facet-range="${facet.key}" data-bound="${bound}" value="${filter[bound] === null ? '' : filter[bound]}" placeholder="${placeholder}" class="w-full px-2 py-1 border-2 border-gray-200 rounded-lg text-sm focus:border-purple-500 focus:outline-none">`;
+      return `
+        <div>
+          <div class="flex justify-between text-sm font-semibold text-gray-700 mb-1">
+            <span>${facet.label}${facet.unit ? ` (${facet.unit})` : ''}</span>
+            <span class="text-gray-400 font-normal">${count}</span>
+          </div>
+          <div class="flex items-center gap-2">
+            ${input('min', Math.min(...values))}
+            <span class="text-gray-400">–</span>
+            ${input('max', Math.max(...values))}
+          </div>
+        </div>`;
+    }
+
+    const selected = state.facetFilters[facet.key] || [];
+    const options = [...new Set(values.map(String))]
+      .sort((a, b) => (Number.isNaN(+a) || Number.isNaN(+b) ? a.localeCompare(b) : a - b));
+    return `
+      <div>
+        <div class="text-sm font-semibold text-gray-700 mb-1">${facet.label}</div>
+        ${options.map((option) => {
+          const count = candidates.filter(soc => String(getFacetValue(facet, soc)) === option).length;
+          const checked = selected.includes(option);
+          return `
+            <label class="flex items-center gap-2 text-sm ${count || checked ? 'text-gray-700' : 'text-gray-400'}">
+              <input type="checkbox" data-facet="${facet.key}" value="${escapeHtml(option)}" ${checked ? 'checked' : ''} class="accent-purple-600">
+              <span class="flex-1">${escapeHtml(facet.format ? facet.format(option) : option)}</span>
+              <span class="text-gray-400">${count}</span>
+            </label>`;
+        }).join('')}
+      </div>`;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <div class="flex items-baseline justify-between mb-4">
+        <h4 class="text-lg font-bold text-gray-800">Filters</h4>
+        <span class="text-sm text-gray-500">${state.filteredSocs.length} of ${state.socsData.length} processors</span>
+      </div>
+      <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">${groups}</div>
+      ${activeCount ? `<button type="button" id="clearFacetsBtn" class="mt-4 text-sm font-semibold text-purple-700 hover:underline">Clear ${activeCount} filter${activeCount === 1 ? '' : 's'}</button>` : ''}
+    </div>`;
+
+  container.querySelectorAll('[data-facet]').forEach((input) => {
+    input.addEventListener('change', () => toggleFacetValue(input.dataset.facet, input.value));
+  });
+  container.querySelectorAll('[data-facet-range]').forEach((input) => {
+    input.addEventListener('change', () => setFacetRange(input.dataset.facetRange, input.dataset.bound, input.value));
+  });
+  const clearBtn = document.getElementById('clearFacetsBtn');
+  if (clearBtn) clearBtn.addEventListener('click', clearFacetFilters);
+};
+
+// =========================
+// Weighted Scoring System
+// =========================
+
+/**
+ * Calculate comprehensive weighted performance score (0-100)
+ * Uses the same component scores as the radar chart and exports.
+ * @param {Object} soc - SoC data object
+ * @returns {number} Performance index (0-100)
+ */
+const calculatePerformanceIndex = (soc) => {
+  const { scores } = scoreComponents(soc);
+  const weights = withAllComponents(state.weights);
+
+  const totalScore = SCORE_COMPONENTS.reduce(
+    (sum, { key }) => sum + scores[key] * (weights[key] / 100),
+    0
+  );
+
+  return Math.round(totalScore * 10) / 10; // Round to 1 decimal
+};
+
+/**
+ * Find the winning slot for a set of values
+ * @param {number[]} values - One value per slot
+ * @param {boolean} higher - Whether higher values are better
+ * @returns {Object} { winner, diff, diffPercent } - winner is a slot index or -1 on a tie;
+ *   diff is in the metric's unit, diffPercent relative to the runner-up
+ */
+const findMetricWinner = (values, higher) => {
+  // Missing values (null) can't win; at least two are needed to compare
+  const valid = values.filter(v => typeof v === 'number' && isFinite(v));
+  if (valid.length < 2) return { winner: -1, diff: 0, diffPercent: 0 };
+
+  const best = higher ? Math.max(...valid) : Math.min(...valid);
+  const leaders = valid.filter(v => v === best).length;
+  if (leaders > 1) return { winner: -1, diff: 0, diffPercent: 0 };
+
+  // Margin over the runner-up
+  const rest = valid.filter(v => v !== best);
+  const runnerUp = higher ? Math.max(...rest) : Math.min(...rest);
+  const diff = Math.abs(best - runnerUp);
+  return {
+    winner: values.indexOf(best),
+    diff,
+    diffPercent: runnerUp ? Math.round((diff / Math.abs(runnerUp)) * 1000) / 10 : null,
+  };
+};
+
+/**
+ * Calculate detailed comparison scores and breakdown
+ * @param {Array} socs - SoCs to compare (2 to MAX_COMPARISON_SLOTS)
+ * @returns {Object} Detailed comparison results, with per-slot arrays
+ */
+const calculateDetailedComparison = (socs) => {
+  const metrics = {
+    frequency: { values: socs.map(s => s.frequency), higher: true, label: 'CPU Clock' },
+    cores: { values: socs.map(s => s.numCores), higher: true, label: 'Core Count' },
+    process: { values: socs.map(s => s.fabProcess), higher: false, label: 'Process Node' },
+    gpu: { values: socs.map(s => s.gpuCores), higher: true, label: 'GPU Cores' },
+    cache: { values: socs.map(s => (s.l2Cache || 0) + (s.l3Cache || 0)), higher: true, label: 'Total Cache' },
+    threads: { values: socs.map(s => s.numThreads), higher: true, label: 'Thread Count' },
+  };
+
+  // Derived metrics (bandwidth, per-watt, per-core) compete like any other metric
+  getDerivedMetricFields().forEach(({ key, label, unit, compare }) => {
+    metrics[key] = {
+      values: socs.map(s => s[key]),
+      higher: compare === 'higher',
+      label: unit ? `${label} (${unit})` : label,
+    };
+  });
+
+  const categoryWins = socs.map(() => 0);
+  const breakdown = {};
+
+  // Calculate category winners
+  Object.entries(metrics).forEach(([key, data]) => {
+    breakdown[key] = findMetricWinner(data.values, data.higher);
+    if (breakdown[key].winner >= 0) categoryWins[breakdown[key].winner]++;
+  });
+
+  // Calculate performance indices (and which scoring mode produced them)
+  const perfIndices = socs.map(calculatePerformanceIndex);
+  const componentScores = socs.map(getComponentScores);
+  const scoreSources = socs.map(getScoreSources);
+
+  return {
+    categoryWins,
+    perfIndices,
+    componentScores,
+    scoreSources,
+    scoringMode: state.scoringMode,
+    breakdown,
+    metrics,
+  };
+};
+
+// =========================
+// Scoring Engine
+// =========================
+
+/**
+ * Register a component scorer. Each scorer combines weighted spec inputs,
+ * normalized against the loaded dataset's ranges, into a 0-100 score.
+ * Optional benchmark inputs replace the spec estimate in "measured" mode.
+ *
+ * @param {Object} scorer
+ * @param {string} scorer.key - Component key (also the weights key)
+ * @param {string} scorer.label - Display label (radar axis, editor row)
+ * @param {Array} scorer.inputs - [{ key, weight, direction?: 'higher'|'lower', value?: soc => number }]
+ * @param {Array} [scorer.benchmarks] - [{ key, weight }] benchmark fields for measured mode
+ */
+const registerScorer = ({ key, label, inputs, benchmarks = [] }) => {
+  const scorer = {
+    key,
+    label,
+    inputs: inputs.map(input => ({ direction: 'higher', ...input })),
+    benchmarks,
+  };
+  const existing = SCORE_COMPONENTS.findIndex(c => c.key === key);
+  if (existing >= 0) SCORE_COMPONENTS[existing] = scorer;
+  else SCORE_COMPONENTS.push(scorer);
+};
+
+/**
+ * Read a numeric scorer input from a SoC (0 when missing)
+ */
+const readScoreInput = (soc, input) => {
+  const raw = input.value ? input.value(soc) : soc[input.key];
+  const num = parseFloat(raw);
+  return isNaN(num) ? 0 : num;
+};
+
+registerScorer({
+  key: 'cpu',
+  label: 'CPU',
+  inputs: [
+    // Tier-weighted so big.LITTLE designs aren't scored on raw core count
+    { key: 'weightedCoreCount', weight: 0.4 },
+    { key: 'frequency', weight: 0.4 },
+    { key: 'numThreads', weight: 0.2 },
+  ],
+  benchmarks: [
+    { key: 'benchmarkGeekbench6Single', weight: 0.4 },
+    { key: 'benchmarkGeekbench6Multi', weight: 0.6 },
+  ],
+});
+
+registerScorer({
+  key: 'gpu',
+  label: 'GPU',
+  inputs: [
+    { key: 'gpuCores', weight: 0.6 },
+    { key: 'gpuClock', weight: 0.4 },
+  ],
+  benchmarks: [{ key: 'benchmarkGFXBenchAztec', weight: 1 }],
+});
+
+registerScorer({
+  key: 'memory',
+  label: 'Memory',
+  inputs: [
+    { key: 'maxMemorySize', weight: 0.5 },
+    { key: 'memoryChannels', weight: 0.5 },
+  ],
+  // AnTuTu's total includes its MEM/UX subtests - the closest system-level measurement we have
+  benchmarks: [{ key: 'benchmarkAntutu10', weight: 1 }],
+});
+
+registerScorer({
+  key: 'efficiency',
+  label: 'Efficiency',
+  inputs: [{ key: 'fabProcess', weight: 1, direction: 'lower' }],
+});
+
+registerScorer({
+  key: 'cache',
+  label: 'Cache',
+  inputs: [
+    { key: 'l2Cache', weight: 0.5 },
+    { key: 'l3Cache', weight: 0.5 },
+  ],
+});
+
+registerScorer({
+  key: 'ai',
+  label: 'AI',
+  inputs: [{ key: 'aiPerformanceTOPS', weight: 1 }],
+  benchmarks: [{ key: 'aiPerformanceTOPS', weight: 1 }],
+});
+
+registerScorer({
+  key: 'connectivity',
+  label: 'Connectivity',
+  inputs: [
+    { key: 'wirelessModemSpeed', weight: 0.5 },
+    { key: 'wifiVersion', weight: 0.3 },
+    { key: 'bluetoothVersion', weight: 0.2 },
+  ],
+});
+
+/**
+ * Fill in a weight of 0 for any registered component missing from weights
+ * (e.g. presets saved before a scorer was registered)
+ */
+const withAllComponents = (weights) => {
+  const complete = {};
+  SCORE_COMPONENTS.forEach(({ key }) => {
+    complete[key] = weights && typeof weights[key] === 'number' ? weights[key] : 0;
+  });
+  return complete;
+};
+
+/**
+ * Collect per-field ranges across the loaded dataset for every scorer
+ * input and benchmark. Missing (0) values are excluded so they don't
+ * drag the range down.
+ */
+const computeScoringStats = () => {
+  const stats = {};
+  const collect = (key, read) => {
+    if (stats[key]) return;
+    const values = state.socsData
+      .map(read)
+      .filter(v => !isNaN(v) && v > 0)
+      .sort((a, b) => a - b);
+    if (values.length > 0) {
+      stats[key] = { min: values[0], max: values[values.length - 1], values };
+    }
+  };
+
+  SCORE_COMPONENTS.forEach(({ inputs, benchmarks }) => {
+    inputs.forEach(input => collect(input.key, soc => readScoreInput(soc, input)));
+    benchmarks.forEach(({ key }) => collect(key, soc => parseFloat(soc[key])));
+  });
+
+  state.scoringStats = stats;
+};
+
+/**
+ * Normalize a spec input to 0-100 as a ratio to the dataset's best value
+ * (max for 'higher', min for 'lower'), so scores never saturate early
+ * @returns {number|null} Score, or null if no loaded record has this field
+ */
+const normalizeSpecInput = (key, value, direction) => {
+  const stats = state.scoringStats[key];
+  if (!stats) return null;
+  if (!(value > 0)) return 0;
+
+  const ratio = direction === 'lower' ? stats.min / value : value / stats.max;
+  return Math.max(0, Math.min(100, ratio * 100));
+};
+
+/**
+ * Normalize a benchmark result to 0-100 against the loaded dataset
+ * @param {string} key - Benchmark field
+ * @param {number} value - Raw benchmark result
+ * @returns {number|null} Normalized score, or null if not comparable
+ */
+const normalizeBenchmark = (key, value) => {
+  const stats = state.scoringStats[key];
+  if (!stats || !(value > 0)) return null;
+
+  if (CONFIG.BENCHMARK_NORMALIZATION === 'percentile') {
+    const n = stats.values.length;
+    if (n === 1) return 100;
+    const below = stats.values.filter(v => v < value).length;
+    const equal = stats.values.filter(v => v === value).length;
+    // Mid-rank percentile so ties share the same score
+    return ((below + (equal - 1) / 2) / (n - 1)) * 100;
+  }
+
+  if (stats.max === stats.min) return 100;
+  return Math.max(0, Math.min(100, ((value - stats.min) / (stats.max - stats.min)) * 100));
+};
+
+/**
+ * Weighted average of normalized parts, skipping parts that are null
+ * @returns {number|null} Combined score, or null if every part was null
+ */
+const combineScoreParts = (parts) => {
+  let total = 0;
+  let weightSum = 0;
+  parts.forEach(({ score, weight }) => {
+    if (score === null) return;
+    total += score * weight;
+    weightSum += weight;
+  });
+  return weightSum > 0 ? total / weightSum : null;
+};
+
+/**
+ * Score every registered component for a SoC. This is the single source
+ * for the performance index, radar chart and exports.
+ * In 'measured' mode benchmark-derived scores replace the spec estimate
+ * for components that have at least one usable benchmark.
+ * @param {Object} soc - SoC data object
+ * @returns {Object} { scores: { cpu, ... } (0-100, unrounded), sources: { cpu: 'measured'|'spec', ... } }
+ */
+const scoreComponents = (soc) => {
+  const scores = {};
+  const sources = {};
+
+  SCORE_COMPONENTS.forEach(({ key, inputs, benchmarks }) => {
+    const measured = state.scoringMode === 'measured'
+      ? combineScoreParts(benchmarks.map(({ key: field, weight }) => ({
+        score: normalizeBenchmark(field, parseFloat(soc[field])),
+        weight,
+      })))
+      : null;
+
+    if (measured !== null) {
+      scores[key] = measured;
+      sources[key] = 'measured';
+      return;
+    }
+
+    const estimate = combineScoreParts(inputs.map(input => ({
+      score: normalizeSpecInput(input.key, readScoreInput(soc, input), input.direction),
+      weight: input.weight,
+    })));
+    scores[key] = estimate === null ? 0 : estimate;
+    sources[key] = 'spec';
+  });
+
+  return { scores, sources };
+};
+
+// =========================
+// Scoring Mode
+// =========================
+
+/**
+ * Report which mode produced each component score and the overall index
+ * @param {Object} soc - SoC data object
+ * @returns {Object} { components: { cpu: 'measured'|'spec', ... }, index: 'measured'|'spec'|'mixed' }
+ */
+const getScoreSources = (soc) => {
+  const { sources: components } = scoreComponents(soc);
+  const weights = withAllComponents(state.weights);
+
+  // Only weighted components contribute to the index
+  const used = SCORE_COMPONENTS.filter(({ key }) => weights[key] > 0).map(({ key }) => components[key]);
+  let index = 'spec';
+  if (used.length && used.every(source => source === 'measured')) index = 'measured';
+  else if (used.some(source => source === 'measured')) index = 'mixed';
+
+  return { components, index };
+};
+
+/**
+ * Human-readable label for a score source
+ */
+const getScoreSourceLabel = (source) => ({
+  measured: 'Measured (benchmarks)',
+  mixed: 'Mixed (benchmarks + spec estimate)',
+  spec: 'Spec estimate',
+}[source] || 'Spec estimate');
+
+/**
+ * Switch between spec-derived and benchmark-derived scoring
+ * @param {string} mode - 'spec' or 'measured'
+ */
+const applyScoringMode = (mode) => {
+  state.scoringMode = mode === 'measured' ? 'measured' : 'spec';
+  try {
+    localStorage.setItem(CONFIG.SCORING_MODE_KEY, state.scoringMode);
+  } catch (e) { /* ignore */ }
+  updateWeightsEditor();
+  rescoreActiveComparison();
+  updateShareUrl();
+};
+
+/**
+ * Load stored scoring mode preference
+ */
+const restoreScoringMode = () => {
+  try {
+    state.scoringMode = localStorage.getItem(CONFIG.SCORING_MODE_KEY) === 'measured' ? 'measured' : 'spec';
+  } catch (e) { /* ignore */ }
+};
+
+// =========================
+// Scoring Weights & Presets
+// =========================
+
+/**
+ * Check that a weights object covers every component and sums to 100
+ * @param {Object} weights - Component weights
+ * @returns {boolean} True if usable for scoring
+ */
+const isValidWeights = (weights) => {
+  if (!weights || typeof weights !== 'object') return false;
+  const values = SCORE_COMPONENTS.map(({ key }) => (weights[key] === undefined ? 0 : weights[key]));
+  if (values.some(v => typeof v !== 'number' || v < 0 || v > 100)) return false;
+  return values.reduce((sum, v) => sum + v, 0) === 100;
+};
+
+/**
+ * Set one weight and rebalance the others proportionally so the
+ * total stays at exactly 100
+ * @param {Object} weights - Current weights (sum 100)
+ * @param {string} key - Component being changed
+ * @param {number} value - New weight for that component
+ * @returns {Object} New weights object
+ */
+const rebalanceWeights = (current, key, value) => {
+  const weights = withAllComponents(current);
+  const next = { ...weights, [key]: Math.max(0, Math.min(100, Math.round(value))) };
+  const others = SCORE_COMPONENTS.map(c => c.key).filter(k => k !== key);
+  const remaining = 100 - next[key];
+  const otherTotal = others.reduce((sum, k) => sum + weights[k], 0);
+
+  others.forEach(k => {
+    next[k] = otherTotal > 0
+      ? Math.floor((weights[k] / otherTotal) * remaining)
+      : Math.floor(remaining / others.length);
+  });
+
+  // Hand rounding leftovers to the largest remaining weights
+  let leftover = remaining - others.reduce((sum, k) => sum + next[k], 0);
+  [...others].sort((a, b) => next[b] - next[a]).forEach(k => {
+    if (leftover > 0) {
+      next[k]++;
+      leftover--;
+    }
+  });
+
+  return next;
+};
+
+/**
+ * All presets available to the user (built-in first, then custom)
+ * @returns {Object} Map of preset name -> weights
+ */
+const getAllPresets = () => ({ ...WEIGHT_PRESETS, ...state.customPresets });
+
+/**
+ * Persist active weights and custom presets to localStorage
+ */
+const saveWeights = () => {
+  try {
+    localStorage.setItem(CONFIG.WEIGHTS_KEY, JSON.stringify({
+      preset: state.weightPreset,
+      weights: state.weights,
+    }));
+    localStorage.setItem(CONFIG.CUSTOM_PRESETS_KEY, JSON.stringify(state.customPresets));
+  } catch (e) {
+    console.warn('Failed to save scoring weights', e);
+  }
+};
+
+/**
+ * Restore active weights and custom presets, dropping invalid entries
+ */
+const restoreWeights = () => {
+  try {
+    const presets = JSON.parse(localStorage.getItem(CONFIG.CUSTOM_PRESETS_KEY) || '{}');
+    state.customPresets = {};
+    Object.entries(presets).forEach(([name, weights]) => {
+      if (!WEIGHT_PRESETS[name] && isValidWeights(weights)) state.customPresets[name] = withAllComponents(weights);
+    });
+
+    const saved = JSON.parse(localStorage.getItem(CONFIG.WEIGHTS_KEY) || 'null');
+    if (saved && isValidWeights(saved.weights)) {
+      state.weights = withAllComponents(saved.weights);
+      state.weightPreset = getAllPresets()[saved.preset] ? saved.preset : '';
+    }
+  } catch (e) {
+    console.warn('Failed to restore scoring weights', e);
+  }
+};
+
+/**
+ * Apply new weights, persist them and re-score the active comparison
+ * @param {Object} weights - Weights summing to 100
+ * @param {string} preset - Preset name, or '' for unsaved custom weights
+ */
+const applyWeights = (weights, preset = '') => {
+  if (!isValidWeights(weights)) {
+    showErrorMessage('Scoring weights must add up to 100');
+    return;
+  }
+  state.weights = withAllComponents(weights);
+  state.weightPreset = preset;
+  saveWeights();
+  updateWeightsEditor();
+  rescoreActiveComparison();
+  updateShareUrl();
+};
+
+/**
+ * Select a built-in or custom preset by name
+ */
+const applyWeightPreset = (name) => {
+  const weights = getAllPresets()[name];
+  if (weights) applyWeights(weights, name);
+};
+
+/**
+ * Save the active weights as a named custom preset
+ * @param {string} name - Preset name (built-in names are reserved)
+ */
+const saveCustomPreset = (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return showErrorMessage('Enter a name for the preset');
+  if (WEIGHT_PRESETS[trimmed]) return showErrorMessage(`"${trimmed}" is a built-in preset`);
+
+  state.customPresets[trimmed] = { ...state.weights };
+  state.weightPreset = trimmed;
+  saveWeights();
+  renderWeightsEditor();
+};
+
+/**
+ * Delete the selected custom preset (built-ins cannot be deleted)
+ */
+const deleteCustomPreset = (name) => {
+  if (!state.customPresets[name]) return;
+  delete state.customPresets[name];
+  if (state.weightPreset === name) state.weightPreset = '';
+  saveWeights();
+  renderWeightsEditor();
+};
+
+/**
+ * Recalculate scores for the comparison on screen and the leaderboard
+ * with the active weights and scoring mode.
+ * Only the weight-dependent sections are re-rendered.
+ */
+const rescoreActiveComparison = () => {
+  renderLeaderboard();
+  renderChipFinder();
+  renderTimeline();
+
+  const socs = state.activeComparison;
+  if (!socs || socs.length < 2) return;
+
+  const results = calculateDetailedComparison(socs);
+  displayWinnerBanner(results, socs);
+  displayComparisonSummary(results, socs);
+  displayScoreCards(results, socs);
+  displayPerformanceRadar(socs);
+};
+
+/**
+ * Render the weights editor (preset picker, sliders, custom presets)
+ * into #weightsEditor
+ */
+const renderWeightsEditor = () => {
+  const container = document.getElementById('weightsEditor');
+  if (!container) return;
+
+  const presetOptions = (names) => names
+    .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+    .join('');
+  const customNames = Object.keys(state.customPresets);
+
+  container.innerHTML = `
+    <div class="bg-white rounded-2xl shadow-md p-6">
+      <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h4 class="text-lg font-bold text-gray-800">Scoring Weights</h4>
+        <select id="scoringMode" class="px-3 py-2 border-2 border-gray-200 rounded-xl focus:border-purple-500 focus:outline-none" title="How component scores are produced">
+          <option value="spec">Spec estimate</option>
+          <option value="measured">Measured (benchmarks)</option>
+        </select>
+        <select id="weightPreset" class="px-3 py-2 border-2 border-gray-200 rounded-xl focus:border-purple-500 focus:outline-none">
+          <option value="">Custom (unsaved)</option>
+          <optgroup label="Presets">${presetOptions(Object.keys(WEIGHT_PRESETS))}</optgroup>
+          ${customNames.length ? `<optgroup label="My presets">${presetOptions(customNames)}</optgroup>` : ''}
+        </select>
+      </div>
+      <div class="space-y-3">
+        ${SCORE_COMPONENTS.map(({ key, label }) => `
+          <label class="flex items-center gap-3">
+            <span class="w-24 text-sm font-semibold text-gray-700">${label}</span>
+            <input type="range" min="0" max="100" step="1" data-weight="${key}" class="flex-1 accent-purple-600">
+            <span class="w-12 text-right text-sm font-bold text-gray-800" data-weight-value="${key}"></span>
+          </label>`).join('')}
+      </div>
+      <div class="mt-3 text-sm text-gray-500">Total: <span id="weightsTotal" class="font-bold"></span> / 100</div>
+      <div class="flex flex-wrap items-center gap-2 mt-4">
+        <input id="presetNameInput" type="text" placeholder="Preset name" class="flex-1 px-3 py-2 border-2 border-gray-200 rounded-xl focus:border-purple-500 focus:outline-none">
+        <button type="button" id="savePresetBtn" class="px-4 py-2 bg-purple-600 text-white font-semibold rounded-xl hover:bg-purple-700 transition">Save preset</button>
+        <button type="button" id="deletePresetBtn" class="px-4 py-2 text-red-600 font-semibold rounded-xl hover:bg-red-50 transition">Delete</button>
+      </div>
+    </div>`;
+
+  container.querySelectorAll('[data-weight]').forEach(input => {
+    input.addEventListener('input', () => {
+      applyWeights(rebalanceWeights(state.weights, input.dataset.weight, parseInt(input.value, 10)));
+    });
+  });
+
+  const modeSelect = document.getElementById('scoringMode');
+  if (modeSelect) modeSelect.addEventListener('change', (e) => applyScoringMode(e.target.value));
+
+  const presetSelect = document.getElementById('weightPreset');
+  if (presetSelect) presetSelect.addEventListener('change', (e) => applyWeightPreset(e.target.value));
+
+  const saveBtn = document.getElementById('savePresetBtn');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', () => {
+      saveCustomPreset(document.getElementById('presetNameInput').value);
+    });
+  }
+
+  const deleteBtn = document.getElementById('deletePresetBtn');
+  if (deleteBtn) deleteBtn.addEventListener('click', () => deleteCustomPreset(state.weightPreset));
+
+  updateWeightsEditor();
+};
+
+/**
+ * Sync editor controls with state.weights without re-rendering
+ * (keeps the slider being dragged under the pointer)
+ */
+const updateWeightsEditor = () => {
+  const container = document.getElementById('weightsEditor');
+  if (!container) return;
+
+  const weights = withAllComponents(state.weights);
+  SCORE_COMPONENTS.forEach(({ key }) => {
+    const input = container.querySelector(`[data-weight="${key}"]`);
+    const valueEl = container.querySelector(`[data-weight-value="${key}"]`);
+    if (input) input.value = weights[key];
+    if (valueEl) valueEl.textContent = `${weights[key]}%`;
+  });
+
+  const total = SCORE_COMPONENTS.reduce((sum, { key }) => sum + weights[key], 0);
+  const totalEl = document.getElementById('weightsTotal');
+  if (totalEl) {
+    totalEl.textContent = total;
+    totalEl.classList.toggle('text-red-600', total !== 100);
+  }
+
+  const presetSelect = document.getElementById('weightPreset');
+  if (presetSelect) presetSelect.value = state.weightPreset;
+
+  const modeSelect = document.getElementById('scoringMode');
+  if (modeSelect) modeSelect.value = state.scoringMode;
+
+  const deleteBtn = document.getElementById('deletePresetBtn');
+  if (deleteBtn) deleteBtn.disabled = !state.customPresets[state.weightPreset];
+};
+
+// =========================
+// Comparison Execution
+// =========================
+
+/**
+ * Check that a selection has at least two different processors
+ * @param {string[]} ids - Selected SoC ids (empty slots removed)
+ * @returns {boolean}
+ */
+const isValidSelection = ids => ids.length >= 2 && new Set(ids).size === ids.length;
+
+/**
+ * Execute comparison between selected SoCs
+ */
+const executeComparison = () => {
+  const values = getSelectedSlotValues().filter(value => value !== '');
+
+  if (!isValidSelection(values)) {
+    showErrorMessage('Please select at least two different processors');
+    return;
+  }
+
+  const socs = values.map(findSocById);
+
+  if (socs.some(soc => !soc)) {
+    showErrorMessage('Invalid processor selection');
+    return;
+  }
+
+  // Save comparison to localStorage and the shareable URL
+  saveLastComparison(getSelectedSlotValues());
+  updateShareUrl();
+
+  renderComparison(socs);
+
+  // Scroll to results
+  scrollToResults();
+};
+
+/**
+ * Score and render a comparison of the given SoC objects
+ * @param {Array} socs - From the database, or an imported snapshot
+ */
+const renderComparison = (socs) => {
+  // Calculate comprehensive comparison
+  const results = calculateDetailedComparison(socs);
+  state.activeComparison = socs;
+
+  // Update UI sections
+  renderRecommendations();
+  renderTimeline();
+  displayWinnerBanner(results, socs);
+  displayComparisonSummary(results, socs);
+  displayScoreCards(results, socs);
+  displayComparisonTable(socs, results);
+  displayCoreLayout(socs);
+  displayPerformanceRadar(socs);
+};
+
+// =========================
+// UI Display Functions
+// =========================
+
+/**
+ * Display winner banner with animation
+ */
+const displayWinnerBanner = (results, socs) => {
+  const banner = document.getElementById('winner');
+  const titleEl = document.getElementById('winnerText');
+  const subtextEl = document.getElementById('winnerSubtext');
+
+  if (!banner || !titleEl || !subtextEl) return;
+
+  const { perfIndices, categoryWins } = results;
+  const best = Math.max(...perfIndices);
+  const leaders = perfIndices.filter(score => score === best).length;
+  const totalWins = categoryWins.reduce((sum, wins) => sum + wins, 0);
+
+  let title, subtext;
+
+  if (leaders === 1) {
+    const winner = perfIndices.indexOf(best);
+    const others = perfIndices.filter((_, i) => i !== winner);
+    title = `🏆 ${socs[winner].name} Wins!`;
+    subtext = `Performance Index: ${best} vs ${others.join(' vs ')} | Wins ${categoryWins[winner]}/${totalWins} categories`;
+  } else if (leaders === socs.length) {
+    title = '🤝 Perfect Tie!';
+    subtext = `All processors score ${best} | Evenly matched across all metrics`;
+  } else {
+    const tied = socs.filter((_, i) => perfIndices[i] === best).map(soc => soc.name);
+    title = '🤝 Tie at the Top!';
+    subtext = `${tied.join(' and ')} share the lead with a Performance Index of ${best}`;
+  }
+
+  titleEl.textContent = title;
+  subtextEl.textContent = subtext;
+  banner.classList.remove('hidden');
+};
+
+/**
+ * Display score cards with performance indices (one card per slot)
+ */
+const displayScoreCards = (results, socs) => {
+  const cardsSection = document.getElementById('scoreCards');
+  if (!cardsSection) return;
+
+  cardsSection.innerHTML = `
+    <div class="grid gap-6 grid-cols-1 ${SLOT_GRID_CLASSES[socs.length] || 'md:grid-cols-2'}">
+      ${socs.map((soc, i) => `
+        <div class="bg-white rounded-2xl shadow-xl p-6 text-center border-t-4" style="border-color:${getSlotColor(i)}">
+          <div id="soc${i + 1}Name" class="text-lg font-bold text-gray-800 mb-2">${escapeHtml(soc.name)}</div>
+          <div id="score${i + 1}" class="text-5xl font-extrabold" style="color:${getSlotColor(i)}">${results.perfIndices[i]}</div>
+          <div class="text-sm text-gray-500 mt-1">Performance Index</div>
+          <div class="inline-block mt-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-100 text-gray-600" data-score-source="${results.scoreSources[i].index}">${getScoreSourceLabel(results.scoreSources[i].index)}</div>
+        </div>`).join('')}
+    </div>`;
+
+  cardsSection.classList.remove('hidden');
+};
+
+/**
+ * Generate SVG icons for categories
+ */
+const getCategoryIcon = (category) => {
+  const icons = {
+    'General Info': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clip-rule="evenodd"></path></svg>',
+    'CPU Performance': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path d="M13 7H7v6h6V7z"></path><path fill-rule="evenodd" d="M7 2a1 1 0 012 0v1h2V2a1 1 0 112 0v1h2a2 2 0 012 2v2h1a1 1 0 110 2h-1v2h1a1 1 0 110 2h-1v2a2 2 0 01-2 2h-2v1a1 1 0 11-2 0v-1H9v1a1 1 0 11-2 0v-1H5a2 2 0 01-2-2v-2H2a1 1 0 110-2h1V9H2a1 1 0 010-2h1V5a2 2 0 012-2h2V2zM5 5h10v10H5V5z" clip-rule="evenodd"></path></svg>',
+    'Memory': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path d="M3 12v3c0 1.657 3.134 3 7 3s7-1.343 7-3v-3c0 1.657-3.134 3-7 3s-7-1.343-7-3z"></path><path d="M3 7v3c0 1.657 3.134 3 7 3s7-1.343 7-3V7c0 1.657-3.134 3-7 3S3 8.657 3 7z"></path><path d="M17 5c0 1.657-3.134 3-7 3S3 6.657 3 5s3.134-3 7-3 7 1.343 7 3z"></path></svg>',
+    'Graphics': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M4 3a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V5a2 2 0 00-2-2H4zm12 12H4l4-8 3 6 2-4 3 6z" clip-rule="evenodd"></path></svg>',
+    'AI & NPU': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M11.3 1.046A1 1 0 0112 2v5h4a1 1 0 01.82 1.573l-7 10A1 1 0 018 18v-5H4a1 1 0 01-.82-1.573l7-10a1 1 0 011.12-.38z" clip-rule="evenodd"></path></svg>',
+    'Connectivity': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M5.05 3.636a1 1 0 010 1.414 7 7 0 000 9.9 1 1 0 11-1.414 1.414 9 9 0 010-12.728 1 1 0 011.414 0zm9.9 0a1 1 0 011.414 0 9 9 0 010 12.728 1 1 0 11-1.414-1.414 7 7 0 000-9.9 1 1 0 010-1.414zM7.879 6.464a1 1 0 010 1.414 3 3 0 000 4.243 1 1 0 11-1.415 1.414 5 5 0 010-7.07 1 1 0 011.415 0zm4.242 0a1 1 0 011.415 0 5 5 0 010 7.072 1 1 0 01-1.415-1.415 3 3 0 000-4.242 1 1 0 010-1.415zM10 9a1 1 0 011 1v.01a1 1 0 11-2 0V10a1 1 0 011-1z" clip-rule="evenodd"></path></svg>',
+    'Camera & Media': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M4 5a2 2 0 00-2 2v8a2 2 0 002 2h12a2 2 0 002-2V7a2 2 0 00-2-2h-1.586a1 1 0 01-.707-.293l-1.121-1.121A2 2 0 0011.172 3H8.828a2 2 0 00-1.414.586L6.293 4.707A1 1 0 015.586 5H4zm6 9a3 3 0 100-6 3 3 0 000 6z" clip-rule="evenodd"></path></svg>',
+    'Power': '<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M12.395 2.553a1 1 0 00-1.45-.385c-.345.23-.614.558-.822.88-.214.33-.403.713-.57 1.116-.334.804-.614 1.768-.84 2.734a31.365 31.365 0 00-.613 3.58 2.64 2.64 0 01-.945-1.067c-.328-.68-.398-1.534-.398-2.654A1 1 0 005.05 6.05 6.981 6.981 0 003 11a7 7 0 1011.95-4.95c-.592-.591-.98-.985-1.348-1.467-.363-.476-.724-1.063-1.207-2.03zM12.12 15.12A3 3 0 017 13s.879.5 2.5.5c0-1 .5-4 1.25-4.5.5 1 .786 1.293 1.371 1.879A2.99 2.99 0 0113 13a2.99 2.99 0 01-.879 2.121z" clip-rule="evenodd"></path></svg>',
+  };
+  return icons[category] || icons['General Info'];
+};
+
+/**
+ * Rank a row of values. Rows with fewer than two numeric values or no
+ * spread have no best/worst.
+ * @param {Array} values - Raw cell values, one per slot
+ * @param {string} compare - 'higher' or 'lower'
+ * @returns {Object|null} { nums, best, worst }
+ */
+const getRowExtremes = (values, compare) => {
+  if (!compare) return null;
+
+  const nums = values.map(v => (v === 'N/A' ? NaN : parseFloat(v)));
+  const valid = nums.filter(n => !isNaN(n));
+  if (valid.length < 2) return null;
+
+  const max = Math.max(...valid);
+  const min = Math.min(...valid);
+  if (max === min) return null;
+
+  return {
+    nums,
+    best: compare === 'higher' ? max : min,
+    worst: compare === 'higher' ? min : max,
+  };
+};
+
+/**
+ * Rank a row of values and return the highlight class for each cell.
+ * Best value(s) are green, worst red; unranked rows stay neutral.
+ * @param {Array} values - Raw cell values, one per slot
+ * @param {string} compare - 'higher' or 'lower'
+ * @returns {string[]} Tailwind classes per cell
+ */
+const getRowHighlightClasses = (values, compare) => {
+  const extremes = getRowExtremes(values, compare);
+  if (!extremes) return values.map(() => '');
+
+  return extremes.nums.map((n) => {
+    if (n === extremes.best) return 'bg-green-100 font-bold text-green-900';
+    if (n === extremes.worst) return 'bg-red-50 text-red-700';
+    return '';
+  });
+};
+
+/**
+ * Percentage change of a value against the baseline chip's value
+ * @returns {number|null} null when either side is missing or the baseline is 0
+ */
+const getBaselineDelta = (value, baseline) => {
+  if (isNaN(value) || isNaN(baseline) || baseline === 0) return null;
+  return ((value - baseline) / Math.abs(baseline)) * 100;
+};
+
+/**
+ * Signed percentage delta, green when it is an improvement for the field
+ * @param {number} delta - From getBaselineDelta
+ * @param {string} compare - 'higher' or 'lower'
+ * @returns {string} HTML
+ */
+const formatBaselineDelta = (delta, compare) => {
+  const rounded = Math.round(delta * 10) / 10;
+  if (rounded === 0) return '<span class="font-semibold text-gray-500">±0%</span>';
+  const better = compare === 'lower' ? rounded < 0 : rounded > 0;
+  return `<span class="font-semibold ${better ? 'text-green-700' : 'text-red-600'}">${rounded > 0 ? '+' : ''}${rounded}%</span>`;
+};
+
+/**
+ * Inline bar showing a value relative to the row maximum
+ * @returns {string} HTML
+ */
+const getRowSparkline = (value, max, slot) => {
+  const width = isNaN(value) || max <= 0 ? 0 : Math.max(2, Math.round((value / max) * 1000) / 10);
+  return `
+    <div class="mt-1 mx-auto max-w-[8rem] h-1.5 bg-gray-100 rounded-full overflow-hidden">
+      <div class="h-full rounded-full" style="width:${width}%;background:${getSlotColor(slot)}"></div>
+    </div>`;
+};
+
+/**
+ * Check whether every chip has the same value in a row
+ */
+const isUniformRow = values => values.every(value => `${value}` === `${values[0]}`);
+
+/**
+ * Absolute/relative switch, baseline picker and "only differences"
+ * filter shown above the comparison table
+ * @returns {string} HTML
+ */
+const getTableViewControls = (socs) => {
+  const { mode, baseline, onlyDifferences } = state.tableView;
+  const modeButton = (value, label) => `
+    <button type="button" data-table-mode="${value}" class="px-3 py-1.5 text-sm font-semibold rounded-lg transition ${mode === value ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}">${label}</button>`;
+
+  return `
+    <div class="flex flex-wrap items-center gap-3 px-6 py-4 border-b bg-gray-50">
+      <div class="flex gap-1">${modeButton('absolute', 'Absolute')}${modeButton('relative', 'Relative %')}</div>
+      <label class="flex items-center gap-2 text-sm text-gray-700 ${mode === 'relative' ? '' : 'opacity-50'}">
+        Baseline
+        <select id="tableBaseline" ${mode === 'relative' ? '' : 'disabled'} class="px-2 py-1 border-2 border-gray-200 rounded-lg text-sm focus:border-purple-500 focus:outline-none">
+          ${socs.map((soc, i) => `<option value="${i}" ${i === baseline ? 'selected' : ''}>${escapeHtml(soc.name)}</option>`).join('')}
+        </select>
+      </label>
+      <label class="flex items-center gap-2 text-sm text-gray-700 ml-auto cursor-pointer">
+        <input type="checkbox" id="onlyDifferencesToggle" ${onlyDifferences ? 'checked' : ''} class="rounded text-purple-600">
+        Show only differences
+      </label>
+    </div>`;
+};
+
+/**
+ * Update the table view options and re-render the active comparison table
+ * @param {Object} changes - Partial state.tableView
+ */
+const setTableView = (changes) => {
+  state.tableView = { ...state.tableView, ...changes };
+  if (state.activeComparison.length >= 2) {
+    displayComparisonTable(state.activeComparison, calculateDetailedComparison(state.activeComparison));
+  }
+};
+
+/**
+ * Display detailed comparison table, in absolute or baseline-relative
+ * view, optionally limited to rows where the chips differ
+ */
+const displayComparisonTable = (socs, results) => {
+  const resultContainer = document.getElementById('result');
+  if (!resultContainer) return;
+
+  // Destroy existing category charts
+  destroyCategoryCharts();
+
+  const categories = getSchemaCategories().filter(({ key }) => !state.hiddenCategories.includes(key));
+  const { mode, onlyDifferences } = state.tableView;
+  const baseline = Math.min(state.tableView.baseline, socs.length - 1);
+
+  let html = `<div class="bg-white rounded-2xl shadow-xl overflow-hidden">${getTableViewControls(socs)}`;
+
+  categories.forEach(({ name, chartId, fields }) => {
+    html += `
+      <div class="bg-gradient-to-r from-purple-600 to-pink-600 text-white px-6 py-4">
+        <div class="flex items-center justify-center">
+          <span class="mr-3">${getCategoryIcon(name)}</span>
+          <h3 class="text-2xl font-bold">${name}</h3>
+        </div>
+      </div>
+      <div class="overflow-x-auto">
+        <table class="w-full">
+          <thead class="bg-gray-50">
+            <tr>
+              <th class="px-6 py-4 text-left text-sm font-bold text-gray-700">Specification</th>
+              ${socs.map((soc, i) => `<th class="px-6 py-4 text-center text-sm font-bold" style="color:${getSlotColor(i)}">${escapeHtml(soc.name)}${mode === 'relative' && i === baseline ? '<div class="text-xs font-normal text-gray-400">baseline</div>' : ''}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>`;
+
+    let shownRows = 0;
+    fields.forEach(({ label, key, type, unit, prefix, compare, note }) => {
+      const values = socs.map(soc => (isBlankValue(soc[key]) ? 'N/A' : soc[key]));
+      if (onlyDifferences && isUniformRow(values)) return;
+      shownRows++;
+
+      // Highlight best/worst across all columns if comparable
+      const classes = getRowHighlightClasses(values, compare);
+
+      // Numeric rows get sparklines and, in relative mode, baseline deltas
+      const nums = values.map(v => (v === 'N/A' ? NaN : parseFloat(v)));
+      const valid = nums.filter(n => !isNaN(n));
+      const numeric = !!compare && valid.length >= 2;
+      const rowMax = numeric ? Math.max(...valid) : 0;
+
+      const cells = values.map((val, i) => {
+        let display = escapeHtml(val);
+        if (val === 'N/A') {
+          // Explain where the gap comes from instead of a bare N/A
+          display = `<span class="text-gray-400 cursor-help" title="Not provided by ${escapeHtml(getSourceDisplayName(socs[i]._source))}">N/A</span>`;
+        } else {
+          if (prefix) display = `${prefix}${display}`;
+          if (unit) display = `${display} ${unit}`;
+          if ((socs[i]._derived || []).includes(key)) {
+            // "≈" marks approximated numbers; inferred text is only flagged
+            display = type === 'string'
+              ? `<span class="italic cursor-help" title="${note ? `${note[0].toUpperCase()}${note.slice(1)}` : 'Inferred from other specs'}">${display}</span>`
+              : `<span class="italic cursor-help" title="Calculated: ${note || 'derived from other specs'}">≈ ${display}</span>`;
+          }
+        }
+        if (numeric && mode === 'relative' && i !== baseline) {
+          const delta = getBaselineDelta(nums[i], nums[baseline]);
+          if (delta !== null) display = `${formatBaselineDelta(delta, compare)}<div class="text-xs text-gray-500">${display}</div>`;
+        }
+        if (numeric) display += getRowSparkline(nums[i], rowMax, i);
+        return `<td class="px-6 py-4 text-center ${classes[i]}">${display}</td>`;
+      }).join('');
+
+      html += `
+        <tr class="border-b hover:bg-gray-50 transition">
+          <td class="px-6 py-4 font-semibold text-gray-700">${label}</td>
+          ${cells}
+        </tr>`;
+    });
+
+    if (!shownRows) {
+      html += `
+        <tr><td colspan="${socs.length + 1}" class="px-6 py-4 text-center text-sm text-gray-500">All compared chips are identical in this category</td></tr>`;
+    }
+
+    html += `
+          </tbody>
+        </table>
+      </div>
+      <div class="p-6 bg-gray-50 border-b-4 border-purple-100">
+        <div class="flex items-center gap-2 mb-3">
+          <svg class="w-5 h-5 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"/>
+          </svg>
+          <h4 class="text-lg font-bold text-gray-800">${name} Comparison</h4>
+          <div class="ml-auto flex gap-1">${getChartDownloadButtons(chartId)}</div>
+        </div>
+        <div class="category-chart-container">
+          <canvas id="${chartId}"></canvas>
+        </div>
+      </div>`;
+  });
+
+  html += '</div>';
+  resultContainer.innerHTML = html;
+  bindChartDownloadButtons(resultContainer);
+
+  resultContainer.querySelectorAll('[data-table-mode]').forEach((btn) => {
+    btn.addEventListener('click', () => setTableView({ mode: btn.dataset.tableMode }));
+  });
+  document.getElementById('tableBaseline').addEventListener('change', (e) => {
+    setTableView({ baseline: parseInt(e.target.value, 10) });
+  });
+  document.getElementById('onlyDifferencesToggle').addEventListener('change', (e) => {
+    setTableView({ onlyDifferences: e.target.checked });
+  });
+
+  // Create category charts after DOM update
+  setTimeout(() => {
+    categories.forEach(({ name, chartId, fields, relativeChart }) => {
+      createCategoryChart(chartId, name, socs, fields, { relative: relativeChart });
+    });
+  }, 100);
+};
+
+/**
+ * Create individual category comparison chart
+ * @param {Object} options - { relative: plot each row as % of its best value }
+ */
+const createCategoryChart = (canvasId, categoryName, socs, fields, options = {}) => {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) {
+    console.warn(`Canvas not found: ${canvasId}`);
+    return;
+  }
+
+  // Destroy existing chart
+  if (state.charts.categories[canvasId]) {
+    state.charts.categories[canvasId].destroy();
+  }
+
+  const labels = [];
+  const data = socs.map(() => []);
+  const rawValues = socs.map(() => []);
+
+  fields.forEach(({ label, key, unit, compare }) => {
+    if (!compare) return; // Skip non-numeric fields
+
+    const values = socs.map(soc => parseFloat(soc[key]) || 0);
+
+    if (values.every(val => val === 0)) return;
+
+    labels.push(unit ? `${label} (${unit})` : label);
+    const present = values.filter(val => val > 0);
+    const best = compare === 'lower' ? Math.min(...present) : Math.max(...present);
+
+    values.forEach((val, i) => {
+      rawValues[i].push(val);
+      if (options.relative) {
+        // Percent of the best value in this row (100 = best)
+        const ratio = compare === 'lower' ? best / val : val / best;
+        data[i].push(val > 0 ? Math.round(ratio * 1000) / 10 : 0);
+      } else if (compare === 'lower') {
+        // Invert values for "lower is better" metrics
+        data[i].push(val > 0 ? 100 - Math.min(val, 100) : 0);
+      } else {
+        data[i].push(val);
+      }
+    });
+  });
+
+  if (labels.length === 0) return;
+
+  state.charts.categories[canvasId] = new Chart(canvas, {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: socs.map((soc, i) => ({
+        label: soc.name,
+        data: data[i],
+        backgroundColor: getSlotColor(i, 0.7),
+        borderColor: getSlotColor(i),
+        borderWidth: 2,
+        borderRadius: 8,
+      })),
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          position: 'top',
+          labels: {
+            font: { size: 12, weight: 'bold' },
+            usePointStyle: true,
+          },
+        },
+        tooltip: {
+          backgroundColor: 'rgba(0,0,0,0.8)',
+          padding: 10,
+          cornerRadius: 6,
+          callbacks: options.relative ? {
+            // Relative bars: show the raw spec alongside the percentage
+            label: (ctx) => `${ctx.dataset.label}: ${rawValues[ctx.datasetIndex][ctx.dataIndex]} (${ctx.formattedValue}% of best)`,
+          } : {},
+        },
+      },
+      scales: {
+        x: {
+          beginAtZero: true,
+          suggestedMax: options.relative ? 100 : undefined,
+          grid: { color: '#e5e7eb' },
+        },
+        y: {
+          grid: { display: false },
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Display per-cluster core comparison with a stacked core-layout bar
+ * per SoC into #coreLayout
+ */
+const displayCoreLayout = (socs) => {
+  const container = document.getElementById('coreLayout');
+  if (!container) return;
+
+  const layouts = socs.map(getCpuClusters);
+  const maxCores = Math.max(1, ...layouts.map(clusters => clusters.reduce((sum, c) => sum + c.count, 0)));
+
+  const bars = socs.map((soc, i) => {
+    const clusters = layouts[i];
+    const segments = clusters.length
+      ? clusters.map(({ count, core, clock, tier }) => {
+        const { color } = CORE_TIERS.find(t => t.tier === tier);
+        const title = escapeHtml(`${count}× ${core}${clock ? ` @ ${clock} GHz` : ''}`);
+        return `<div class="h-full flex items-center justify-center text-xs font-semibold ${tier === 'efficiency' ? 'text-gray-700' : 'text-white'} border-r-2 border-white last:border-r-0 overflow-hidden whitespace-nowrap" style="width:${(count / maxCores) * 100}%;background:${color}" title="${title}">${count}× ${escapeHtml(core.replace(/^Cortex-/i, ''))}</div>`;
+      }).join('')
+      : '<div class="h-full flex items-center px-3 text-xs text-gray-400">Core layout not available</div>';
+
+    return `
+      <div class="mb-3">
+        <div class="text-sm font-bold mb-1" style="color:${getSlotColor(i)}">${escapeHtml(soc.name)}</div>
+        <div class="flex h-8 rounded-lg overflow-hidden bg-gray-100">${segments}</div>
+      </div>`;
+  }).join('');
+
+  const legend = CORE_TIERS.map(({ label, color }) => `
+    <span class="flex items-center gap-1"><span class="w-3 h-3 rounded-sm" style="background:${color}"></span>${label}</span>`).join('');
+
+  const rows = CORE_TIERS.map(({ tier, label }) => {
+    const cells = layouts.map((clusters) => {
+      const inTier = clusters.filter(c => c.tier === tier);
+      const text = inTier.length
+        ? inTier.map(({ count, core, clock }) => escapeHtml(`${count}× ${core}${clock ? ` @ ${clock} GHz` : ''}`)).join('<br>')
+        : '—';
+      return `<td class="px-6 py-4 text-center">${text}</td>`;
+    }).join('');
+    return `
+      <tr class="border-b hover:bg-gray-50 transition">
+        <td class="px-6 py-4 font-semibold text-gray-700">${label} Cluster</td>
+        ${cells}
+      </tr>`;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h4 class="text-lg font-bold">CPU Core Layout</h4>
+        <div class="flex gap-4 text-xs text-gray-600">${legend}</div>
+      </div>
+      ${bars}
+      <div class="overflow-x-auto mt-4">
+        <table class="w-full">
+          <thead class="bg-gray-50">
+            <tr>
+              <th class="px-6 py-4 text-left text-sm font-bold text-gray-700">Cluster</th>
+              ${socs.map((soc, i) => `<th class="px-6 py-4 text-center text-sm font-bold" style="color:${getSlotColor(i)}">${escapeHtml(soc.name)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>`;
+};
+
+// =========================
+// Chart & DOM Cleanup
+// =========================
+
+/**
+ * Destroy category charts
+ */
+const destroyCategoryCharts = () => {
+  Object.keys(state.charts.categories).forEach((id) => {
+    try {
+      const chart = state.charts.categories[id];
+      if (chart && typeof chart.destroy === 'function') chart.destroy();
+    } catch (e) {
+      console.warn('Failed to destroy category chart', id, e);
+    }
+    delete state.charts.categories[id];
+  });
+};
+
+/**
+ * Destroy main/radar charts
+ */
+const destroyMainCharts = () => {
+  if (state.charts.main && typeof state.charts.main.destroy === 'function') {
+    state.charts.main.destroy();
+    state.charts.main = null;
+  }
+};
+
+// =========================
+// Performance Breakdown
+// =========================
+
+/**
+ * Return component scores used for radar chart and breakdown
+ * Values are normalized 0-100 and rounded to 1 decimal
+ * @param {Object} soc
+ * @returns {Object} One score per registered component ({ cpu, gpu, memory, ... })
+ */
+const getComponentScores = (soc) => {
+  const { scores } = scoreComponents(soc);
+  const rounded = {};
+  Object.entries(scores).forEach(([key, score]) => {
+    rounded[key] = Math.round(score * 10) / 10;
+  });
+  return rounded;
+};
+
+// =========================
+// Radar Chart (Performance)
+// =========================
+
+/**
+ * Create a radar chart comparing SoCs across component scores
+ */
+const createPerformanceRadar = (canvasId, socs) => {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) return;
+
+  // Destroy previous
+  if (state.charts.main) {
+    destroyMainCharts();
+  }
+
+  const labels = SCORE_COMPONENTS.map(({ label }) => label);
+
+  state.charts.main = new Chart(canvas, {
+    type: 'radar',
+    data: {
+      labels,
+      datasets: socs.map((soc, i) => {
+        const scores = getComponentScores(soc);
+        return {
+          label: soc.name,
+          data: SCORE_COMPONENTS.map(({ key }) => scores[key]),
+          fill: true,
+          backgroundColor: getSlotColor(i, 0.12),
+          borderColor: getSlotColor(i),
+          pointRadius: 4,
+        };
+      }),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        r: {
+          suggestedMin: 0,
+          suggestedMax: 100,
+          ticks: { stepSize: 20 },
+        },
+      },
+      plugins: {
+        legend: { position: 'top' },
+        tooltip: {
+          enabled: true,
+          callbacks: {
+            // Show whether each point came from benchmarks or the spec estimate
+            label: (ctx) => {
+              const { key } = SCORE_COMPONENTS[ctx.dataIndex];
+              const source = getScoreSources(socs[ctx.datasetIndex]).components[key];
+              return `${ctx.dataset.label}: ${ctx.formattedValue} (${source === 'measured' ? 'measured' : 'spec estimate'})`;
+            },
+          },
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Wrapper to display performance radar in UI area
+ */
+const displayPerformanceRadar = (socs) => {
+  const radarContainer = document.getElementById('performanceRadar');
+  if (!radarContainer) return;
+
+  radarContainer.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <div class="flex items-center justify-between mb-4">
+        <h4 class="text-lg font-bold">Performance Radar</h4>
+        <div class="flex gap-1">${getChartDownloadButtons('radarChartMain')}</div>
+      </div>
+      <div style="height:360px">
+        <canvas id="radarChartMain"></canvas>
+      </div>
+    </div>`;
+  bindChartDownloadButtons(radarContainer);
+
+  setTimeout(() => createPerformanceRadar('radarChartMain', socs), 50);
+};
+
+// =========================
+// Comparison Summary
+// =========================
+
+// Percentage gaps used by the narrative: below `even` two chips are
+// "roughly even", from `notable` up a lead is called out
+const NARRATIVE_THRESHOLDS = { even: 3, notable: 10 };
+
+// Breakdown metrics described by the CPU/node sentence instead of as leads
+const NARRATIVE_SKIP_METRICS = ['cores', 'threads', 'process', 'primeCores', 'performanceCores'];
+
+/**
+ * Round for prose: integers stay whole, others get one decimal
+ */
+const formatNarrativeNumber = value => (Number.isInteger(value) ? `${value}` : `${Math.round(value * 10) / 10}`);
+
+/**
+ * Percentage by which `a` exceeds `b`
+ * @returns {number|null} null when `b` is missing or zero
+ */
+const percentAhead = (a, b) => (typeof a === 'number' && typeof b === 'number' && b > 0 ? ((a - b) / b) * 100 : null);
+
+/**
+ * Big (prime + performance) core count
+ * @returns {number|null} null when the CPU layout can't be parsed
+ */
+const countBigCores = (soc) => {
+  const prime = countTierCores(soc, 'prime');
+  const performance = countTierCores(soc, 'performance');
+  return prime === null ? null : prime + performance;
+};
+
+/**
+ * Sentence on CPU layout and process node, e.g. "A has 4 more big cores
+ * than B (8 vs 4) but runs on the same 4 nm class node." or "A and B both
+ * have 4 big cores and are built on the same 4 nm class node."
+ * @returns {string|null}
+ */
+const describeCoresAndNode = (a, b) => {
+  const coresA = countBigCores(a);
+  const coresB = countBigCores(b);
+  const nodeA = a.fabProcess;
+  const nodeB = b.fabProcess;
+  const hasNodes = typeof nodeA === 'number' && typeof nodeB === 'number';
+
+  let cores = null;
+  if (coresA !== null && coresB !== null) {
+    if (coresA === coresB) cores = `${a.name} and ${b.name} both have ${coresA} big cores`;
+    else if (coresA > coresB) cores = `${a.name} has ${coresA - coresB} more big cores than ${b.name} (${coresA} vs ${coresB})`;
+    else cores = `${a.name} has ${coresB - coresA} fewer big cores than ${b.name} (${coresA} vs ${coresB})`;
+  }
+  if (!hasNodes) return cores ? `${cores}.` : null;
+
+  const sameNode = Math.round(nodeA) === Math.round(nodeB);
+  if (!cores) {
+    if (sameNode) return `Both are built on a ${formatNarrativeNumber(nodeA)} nm class node.`;
+    return `${a.name} is built on ${formatNarrativeNumber(nodeA)} nm versus ${formatNarrativeNumber(nodeB)} nm for ${b.name}.`;
+  }
+
+  if (coresA === coresB) {
+    if (sameNode) return `${cores} and are built on the same ${formatNarrativeNumber(nodeA)} nm class node.`;
+    return `${cores}, but ${a.name} is built on ${nodeA < nodeB ? 'a finer' : 'an older'} ${formatNarrativeNumber(nodeA)} nm node (vs ${formatNarrativeNumber(nodeB)} nm).`;
+  }
+
+  const aheadOnCores = coresA > coresB;
+  if (sameNode) return `${cores} ${aheadOnCores ? 'but runs' : 'and runs'} on the same ${formatNarrativeNumber(nodeA)} nm class node.`;
+  return nodeA < nodeB
+    ? `${cores} ${aheadOnCores ? 'and' : 'but'} is built on a finer ${formatNarrativeNumber(nodeA)} nm node (vs ${formatNarrativeNumber(nodeB)} nm).`
+    : `${cores} ${aheadOnCores ? 'though it' : 'and'} is built on an older ${formatNarrativeNumber(nodeA)} nm node (vs ${formatNarrativeNumber(nodeB)} nm).`;
+};
+
+/**
+ * Sentences on component score leads between two chips, heaviest
+ * weighted component first. Unweighted components are left out.
+ * @returns {string[]}
+ */
+const describeComponentLeads = (a, b, scoresA, scoresB) => {
+  const weights = withAllComponents(state.weights);
+  const leads = { a: [], b: [] };
+  const even = [];
+
+  SCORE_COMPONENTS
+    .filter(({ key }) => weights[key] > 0)
+    .sort((x, y) => weights[y.key] - weights[x.key])
+    .forEach(({ key, label }) => {
+      const gap = percentAhead(scoresA[key], scoresB[key]);
+      const reverse = percentAhead(scoresB[key], scoresA[key]);
+      if (gap === null || reverse === null) return;
+      if (Math.abs(gap) < NARRATIVE_THRESHOLDS.even) even.push(label);
+      else if (gap >= NARRATIVE_THRESHOLDS.notable) leads.a.push(`${label} by ${Math.round(gap)}%`);
+      else if (reverse >= NARRATIVE_THRESHOLDS.notable) leads.b.push(`${label} by ${Math.round(reverse)}%`);
+    });
+
+  const list = items => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0]);
+  const sentences = [];
+  if (leads.a.length) sentences.push(`${a.name} leads ${list(leads.a)}.`);
+  if (leads.b.length) sentences.push(`${b.name} leads ${list(leads.b)}.`);
+  if (even.length) sentences.push(`They are roughly even on ${list(even)}.`);
+  return sentences;
+};
+
+/**
+ * Sentence on the largest spec-metric advantages (at or above the
+ * notable threshold) between two slots of a comparison
+ * @returns {string|null}
+ */
+const describeMetricLeads = (results, socs, i, j) => {
+  const leads = [];
+  Object.entries(results.metrics).forEach(([key, { values, higher, label }]) => {
+    if (NARRATIVE_SKIP_METRICS.includes(key)) return;
+    const [x, y] = [values[i], values[j]];
+    if (typeof x !== 'number' || typeof y !== 'number' || x === y) return;
+    const better = higher ? (x > y ? i : j) : (x < y ? i : j);
+    const gap = percentAhead(Math.max(x, y), Math.min(x, y));
+    if (gap === null || gap < NARRATIVE_THRESHOLDS.notable) return;
+    const pair = better === i ? [x, y] : [y, x];
+    leads.push({ slot: better, gap, label, values: pair.map(formatNarrativeNumber).join(' vs ') });
+  });
+  if (!leads.length) return null;
+
+  const top = leads.sort((p, q) => q.gap - p.gap).slice(0, 3);
+  return `Notable spec gaps: ${top.map(({ slot, gap, label, values }) => `${socs[slot].name} leads on ${label} by ${Math.round(gap)}% (${values})`).join('; ')}.`;
+};
+
+/**
+ * Opening sentence: who leads the Performance Index under which weighting
+ * @returns {string}
+ */
+const describeIndexLead = (results, socs, order) => {
+  const weighting = state.weightPreset ? `the ${state.weightPreset} weighting` : 'custom weights';
+  const [leader, ...rest] = order;
+  const best = results.perfIndices[leader];
+  const runnerUp = results.perfIndices[rest[0]];
+
+  if (best === runnerUp) {
+    const tied = order.filter(i => results.perfIndices[i] === best).map(i => socs[i].name);
+    return `Under ${weighting}, ${tied.join(' and ')} tie on the Performance Index at ${best}.`;
+  }
+  const gap = percentAhead(best, runnerUp);
+  const lead = gap === null
+    ? `${socs[leader].name} leads the Performance Index with ${best}`
+    : `${socs[leader].name} scores ${best} on the Performance Index, ${formatNarrativeNumber(gap)}% ahead of ${socs[rest[0]].name} (${runnerUp})`;
+  const others = rest.slice(1).map(i => `${socs[i].name} (${results.perfIndices[i]})`).join(', ');
+  return `Under ${weighting}, ${lead}${others ? `, followed by ${others}` : ''}.`;
+};
+
+/**
+ * Turn a comparison into readable paragraphs: the index lead under the
+ * active weights, then for the leader against each other chip the CPU
+ * layout and node, component score leads and notable spec gaps
+ * @returns {string[]} Paragraphs
+ */
+const buildComparisonNarrative = (results, socs) => {
+  const order = socs.map((_, i) => i).sort((a, b) => results.perfIndices[b] - results.perfIndices[a]);
+  const [leader, ...rest] = order;
+  const paragraphs = [describeIndexLead(results, socs, order)];
+
+  rest.forEach((other) => {
+    const a = socs[leader];
+    const b = socs[other];
+    paragraphs.push([
+      describeCoresAndNode(a, b),
+      ...describeComponentLeads(a, b, results.componentScores[leader], results.componentScores[other]),
+      describeMetricLeads(results, socs, leader, other),
+    ].filter(Boolean).join(' '));
+  });
+
+  return paragraphs.filter(Boolean);
+};
+
+/**
+ * Render the generated summary with a copy button into #comparisonSummary
+ */
+const displayComparisonSummary = (results, socs) => {
+  const container = document.getElementById('comparisonSummary');
+  if (!container) return;
+
+  const paragraphs = buildComparisonNarrative(results, socs);
+  container.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <div class="flex items-center justify-between mb-3">
+        <h4 class="text-lg font-bold text-gray-800">Summary</h4>
+        <button type="button" id="copySummaryBtn" class="px-3 py-1.5 text-sm font-semibold rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 transition">Copy</button>
+      </div>
+      <div class="space-y-2 text-gray-700 leading-relaxed">
+        ${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('')}
+      </div>
+      <div class="mt-3 text-xs text-gray-400">Auto-generated from the specs and active weights - review before publishing.</div>
+    </div>`;
+
+  document.getElementById('copySummaryBtn').addEventListener('click', () => {
+    copyTextWithFeedback(paragraphs.join('\n\n'), 'copySummaryBtn', 'Could not copy the summary');
+  });
+};
+
+// =========================
+// Leaderboard
+// =========================
+
+// Spec columns shown after the component scores
+const LEADERBOARD_SPEC_FIELDS = ['launch', 'fabProcess', 'numCores', 'frequency', 'gpuName', 'aiPerformanceTOPS'];
+
+/**
+ * Column definitions: rank-defining index, one column per registered
+ * component score, then key specs from FIELD_SCHEMA
+ * @returns {Array} [{ key, label, value(row), format(row), numeric, lowerIsBetter }]
+ */
+const getLeaderboardColumns = () => [
+  { key: 'name', label: 'Processor', value: row => row.soc.name || row.soc.id, format: row => escapeHtml(row.soc.name || row.soc.id) },
+  { key: 'index', label: 'Index', numeric: true, value: row => row.index, format: row => row.index.toFixed(1) },
+  ...SCORE_COMPONENTS.map(({ key, label }) => ({
+    key: `score:${key}`,
+    label,
+    numeric: true,
+    value: row => row.scores[key],
+    format: row => Math.round(row.scores[key]),
+  })),
+  ...LEADERBOARD_SPEC_FIELDS.map(key => FIELD_SCHEMA_BY_KEY[key]).filter(Boolean).map(field => ({
+    key: field.key,
+    label: field.label,
+    numeric: field.type !== 'string',
+    lowerIsBetter: field.compare === 'lower',
+    value: row => row.soc[field.key],
+    format: row => (isBlankValue(row.soc[field.key])
+      ? '<span class="text-gray-400">N/A</span>'
+      : escapeHtml(`${field.prefix || ''}${row.soc[field.key]}${field.unit ? ` ${field.unit}` : ''}`)),
+  })),
+];
+
+/**
+ * Score and rank every loaded SoC by performance index. When the weights
+ * or scoring mode changed since the last ranking, each row gets the
+ * number of places it moved. The ranking is reused until the data,
+ * weights or scoring mode change.
+ * @returns {Array} [{ soc, index, scores, rank, delta }] (a fresh array the caller may sort)
+ */
+const rankAllSocs = () => {
+  const board = state.leaderboard;
+  const scoredWith = JSON.stringify({ weights: withAllComponents(state.weights), mode: state.scoringMode });
+  if (board.rows && board.rankedData === state.socsData && board.scoredWith === scoredWith) {
+    return [...board.rows];
+  }
+
+  const rows = state.socsData
+    .map(soc => ({ soc, index: calculatePerformanceIndex(soc), scores: getComponentScores(soc) }))
+    .sort((a, b) => b.index - a.index);
+  rows.forEach((row, i) => { row.rank = i + 1; });
+
+  if (board.scoredWith && board.scoredWith !== scoredWith) {
+    board.deltas = {};
+    rows.forEach(({ soc, rank }) => {
+      if (board.ranks[soc.id]) board.deltas[soc.id] = board.ranks[soc.id] - rank;
+    });
+  }
+  board.scoredWith = scoredWith;
+  board.ranks = Object.fromEntries(rows.map(({ soc, rank }) => [soc.id, rank]));
+
+  rows.forEach((row) => { row.delta = board.deltas[row.soc.id] || 0; });
+  board.rows = rows;
+  board.rankedData = state.socsData;
+  return [...rows];
+};
+
+/**
+ * Sort the leaderboard by a column; clicking the active column flips the direction
+ * @param {string} key - Column key
+ */
+const sortLeaderboard = (key) => {
+  const board = state.leaderboard;
+  if (board.sortKey === key) {
+    board.sortDir = board.sortDir === 'asc' ? 'desc' : 'asc';
+  } else {
+    const column = getLeaderboardColumns().find(c => c.key === key);
+    board.sortKey = key;
+    // Best values first: high scores, low process nodes, A-Z names
+    board.sortDir = !column || !column.numeric || column.lowerIsBetter ? 'asc' : 'desc';
+  }
+  renderLeaderboard();
+};
+
+/**
+ * Tick or untick a leaderboard row for comparison
+ * @param {string} id - SoC id
+ */
+const toggleLeaderboardSelection = (id) => {
+  const board = state.leaderboard;
+  if (board.selected.includes(id)) {
+    board.selected = board.selected.filter(selectedId => selectedId !== id);
+  } else if (board.selected.length < CONFIG.MAX_COMPARISON_SLOTS) {
+    board.selected = [...board.selected, id];
+  } else {
+    showErrorMessage(`You can compare up to ${CONFIG.MAX_COMPARISON_SLOTS} processors`);
+  }
+  renderLeaderboard();
+};
+
+/**
+ * Send the ticked rows to the comparison slots and compare them
+ */
+const compareLeaderboardSelection = () => {
+  const ids = state.leaderboard.selected.filter(findSocById);
+  if (ids.length < 2) {
+    showErrorMessage('Select at least two processors to compare');
+    return;
+  }
+  fillComparisonSlots(ids);
+  executeComparison();
+};
+
+/**
+ * Render the sortable ranking of all loaded SoCs into #leaderboard
+ */
+const renderLeaderboard = () => {
+  const container = document.getElementById('leaderboard');
+  if (!container || !state.socsData.length) return;
+
+  const board = state.leaderboard;
+  const columns = getLeaderboardColumns();
+  const sortColumn = columns.find(c => c.key === board.sortKey) || columns[1];
+  const direction = board.sortDir === 'asc' ? 1 : -1;
+
+  const rows = rankAllSocs().sort((a, b) => {
+    const va = sortColumn.value(a);
+    const vb = sortColumn.value(b);
+    // Missing values always sort last
+    if (va === null || va === undefined) return vb === null || vb === undefined ? a.rank - b.rank : 1;
+    if (vb === null || vb === undefined) return -1;
+    const order = sortColumn.numeric ? va - vb : `${va}`.localeCompare(`${vb}`);
+    return order * direction || a.rank - b.rank;
+  });
+
+  const header = columns.map(({ key, label, numeric }) => {
+    const arrow = key === sortColumn.key ? (board.sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+    return `<th class="px-3 py-2 ${numeric ? 'text-right' : 'text-left'} whitespace-nowrap cursor-pointer select-none hover:text-purple-700" data-sort="${key}">${label}${arrow}</th>`;
+  }).join('');
+
+  const body = rows.map((row) => {
+    const { soc, rank, delta } = row;
+    const checked = board.selected.includes(soc.id);
+    const deltaBadge = delta
+      ? `<span class="ml-1 text-xs font-semibold ${delta > 0 ? 'text-green-600' : 'text-red-600'}" title="${Math.abs(delta)} place${Math.abs(delta) === 1 ? '' : 's'} ${delta > 0 ? 'up' : 'down'} since the weights changed">${delta > 0 ? '▲' : '▼'}${Math.abs(delta)}</span>`
+      : '';
+    return `
+      <tr class="border-t ${checked ? 'bg-purple-50' : 'hover:bg-gray-50'}">
+        <td class="px-3 py-2"><input type="checkbox" data-select="${escapeHtml(soc.id)}" ${checked ? 'checked' : ''} class="accent-purple-600"></td>
+        <td class="px-3 py-2 font-semibold whitespace-nowrap">#${rank}${deltaBadge}</td>
+        ${columns.map(column => `<td class="px-3 py-2 ${column.numeric ? 'text-right' : ''} ${column.key === 'name' ? 'font-semibold' : ''} whitespace-nowrap">${column.format(row)}</td>`).join('')}
+      </tr>`;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <div class="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h4 class="text-lg font-bold text-gray-800">Leaderboard</h4>
+        <button type="button" id="compareSelectedBtn" ${board.selected.length < 2 ? 'disabled' : ''} class="px-4 py-2 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed">
+          Compare selected (${board.selected.length})
+        </button>
+      </div>
+      <div class="overflow-x-auto">
+        <table class="w-full text-sm">
+          <thead class="text-gray-600"><tr><th class="px-3 py-2"></th><th class="px-3 py-2 text-left">Rank</th>${header}</tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    </div>`;
+
+  container.querySelectorAll('[data-sort]').forEach((th) => {
+    th.addEventListener('click', () => sortLeaderboard(th.dataset.sort));
+  });
+  container.querySelectorAll('[data-select]').forEach((input) => {
+    input.addEventListener('change', () => toggleLeaderboardSelection(input.dataset.select));
+  });
+  document.getElementById('compareSelectedBtn').addEventListener('click', compareLeaderboardSelection);
+};
+
+// =========================
+// Device Comparison
+// =========================
+
+// Device (phone) table categories in display order. `icon` reuses a
+// processor category icon (see getCategoryIcon).
+const DEVICE_CATEGORIES = [
+  { key: 'platform', name: 'Platform', icon: 'CPU Performance' },
+  { key: 'display', name: 'Display', icon: 'Graphics' },
+  { key: 'battery', name: 'Battery & Charging', icon: 'Power' },
+  { key: 'cameras', name: 'Cameras', icon: 'Camera & Media' },
+  { key: 'build', name: 'Build', icon: 'General Info' },
+  { key: 'network', name: 'Network Bands', icon: 'Connectivity' },
+  { key: 'price', name: 'Price', icon: 'General Info' },
+];
+
+/**
+ * First number captured by a pattern in free text ("6.78 inches" -> 6.78)
+ * @returns {number|null}
+ */
+const parseNumberFrom = (text, pattern) => {
+  const match = `${text || ''}`.match(pattern);
+  if (!match) return null;
+  const value = parseFloat(match[1].replace(/,/g, ''));
+  return Number.isNaN(value) ? null : value;
+};
+
+/**
+ * Count bands in a band list ("1, 2, 3" or "850 / 900 - SIM 1 & SIM 2")
+ * @returns {number|null}
+ */
+const countBands = (text) => {
+  if (!text) return null;
+  const bands = `${text}`.split(' - ')[0].match(/\d+/g);
+  return bands ? bands.length : null;
+};
+
+// Highest video mode -> vertical resolution, for comparing "4K@30fps" style text
+const VIDEO_MODES = [
+  { pattern: /8K/i, label: '8K', lines: 4320 },
+  { pattern: /4K|2160p/i, label: '4K', lines: 2160 },
+  { pattern: /1440p/i, label: '1440p', lines: 1440 },
+  { pattern: /1080p/i, label: '1080p', lines: 1080 },
+  { pattern: /720p/i, label: '720p', lines: 720 },
+];
+
+// Price currencies by symbol or code
+const CURRENCIES = [
+  { pattern: /EUR|€/i, code: 'EUR' },
+  { pattern: /USD|\$/i, code: 'USD' },
+  { pattern: /GBP|£/i, code: 'GBP' },
+  { pattern: /INR|₹/i, code: 'INR' },
+];
+
+/**
+ * Parse a price like "About 250 EUR" or "$ 199.99"
+ * @returns {Object|null} { amount, currency }
+ */
+const parsePrice = (text) => {
+  const amount = parseNumberFrom(text, /(\d[\d,]*(?:\.\d+)?)/);
+  const currency = CURRENCIES.find(({ pattern }) => pattern.test(`${text || ''}`));
+  return amount === null ? null : { amount, currency: currency ? currency.code : '' };
+};
+
+// Device rows. `parse` reads a comparable number from the free-text source
+// field (`from`, defaults to `key`); rows without `parse` show the text as is.
+// `format` overrides the display, `unitOf` makes a row comparable only
+// between devices with the same unit (e.g. currency).
+const DEVICE_FIELDS = [
+  { key: 'chipset', label: 'Chipset', category: 'platform' },
+  { key: 'os', label: 'OS', category: 'platform' },
+  { key: 'announced', label: 'Announced', category: 'platform' },
+
+  { key: 'displaySize', label: 'Screen Size', category: 'display', unit: 'in', compare: 'higher', parse: text => parseNumberFrom(text, /([\d.]+)\s*inch/i) },
+  { key: 'screenToBody', from: 'displaySize', label: 'Screen-to-Body', category: 'display', unit: '%', compare: 'higher', parse: text => parseNumberFrom(text, /([\d.]+)%\s*screen-to-body/i) },
+  { key: 'displayType', label: 'Panel', category: 'display' },
+  { key: 'refreshRate', from: 'displayType', label: 'Refresh Rate', category: 'display', unit: 'Hz', compare: 'higher', parse: text => parseNumberFrom(text, /(\d+)\s*Hz/i) },
+  {
+    key: 'resolution',
+    label: 'Resolution',
+    category: 'display',
+    compare: 'higher',
+    parse: (text) => {
+      const match = `${text || ''}`.match(/(\d+)\s*x\s*(\d+)/);
+      return match ? match[1] * match[2] : null;
+    },
+    format: (value, device) => `${device.resolution}`.match(/\d+\s*x\s*\d+/)[0],
+  },
+  { key: 'pixelDensity', from: 'resolution', label: 'Pixel Density', category: 'display', unit: 'ppi', compare: 'higher', parse: text => parseNumberFrom(text, /(\d+)\s*ppi/i) },
+
+  { key: 'batteryCapacity', from: 'battery', label: 'Battery', category: 'battery', unit: 'mAh', compare: 'higher', parse: text => parseNumberFrom(text, /(\d[\d,]*)\s*mAh/i) },
+  { key: 'wiredCharging', from: 'charging', label: 'Wired Charging', category: 'battery', unit: 'W', compare: 'higher', parse: text => parseNumberFrom(text, /([\d.]+)\s*W\b(?![^,]*wireless)/i) },
+  { key: 'wirelessCharging', from: 'charging', label: 'Wireless Charging', category: 'battery', unit: 'W', compare: 'higher', parse: text => parseNumberFrom(text, /([\d.]+)\s*W\s*wireless/i) },
+
+  { key: 'mainCameraMP', from: 'mainCamera', label: 'Main Camera', category: 'cameras', unit: 'MP', compare: 'higher', parse: text => parseNumberFrom(text, /([\d.]+)\s*MP/i) },
+  {
+    key: 'rearCameras',
+    from: 'mainCamera',
+    label: 'Rear Cameras',
+    category: 'cameras',
+    compare: 'higher',
+    parse: (text) => {
+      const cameras = `${text || ''}`.match(/[\d.]+\s*MP/gi);
+      return cameras ? cameras.length : null;
+    },
+  },
+  { key: 'selfieCameraMP', from: 'selfieCamera', label: 'Selfie Camera', category: 'cameras', unit: 'MP', compare: 'higher', parse: text => parseNumberFrom(text, /([\d.]+)\s*MP/i) },
+  {
+    key: 'maxVideo',
+    from: 'video',
+    label: 'Max Video',
+    category: 'cameras',
+    compare: 'higher',
+    parse: (text) => {
+      const mode = VIDEO_MODES.find(({ pattern }) => pattern.test(`${text || ''}`));
+      return mode ? mode.lines : null;
+    },
+    format: value => VIDEO_MODES.find(({ lines }) => lines === value).label,
+  },
+  { key: 'cameraFeatures', label: 'Camera Features', category: 'cameras' },
+
+  { key: 'weight', label: 'Weight', category: 'build', unit: 'g', compare: 'lower', parse: text => parseNumberFrom(text, /([\d.]+)\s*g\b/i) },
+  { key: 'thickness', from: 'dimensions', label: 'Thickness', category: 'build', unit: 'mm', compare: 'lower', parse: text => parseNumberFrom(text, /[\d.]+\s*x\s*[\d.]+\s*x\s*([\d.]+)\s*mm/i) },
+  { key: 'build', label: 'Materials', category: 'build' },
+  { key: 'sim', label: 'SIM', category: 'build' },
+
+  { key: 'technology', label: 'Technology', category: 'network' },
+  { key: 'bands2GCount', from: 'bands2G', label: '2G Bands', category: 'network', compare: 'higher', parse: countBands },
+  { key: 'bands3GCount', from: 'bands3G', label: '3G Bands', category: 'network', compare: 'higher', parse: countBands },
+  { key: 'bands4GCount', from: 'bands4G', label: '4G Bands', category: 'network', compare: 'higher', parse: countBands },
+  { key: 'bands5GCount', from: 'bands5G', label: '5G Bands', category: 'network', compare: 'higher', parse: countBands },
+
+  {
+    key: 'price',
+    label: 'Price',
+    category: 'price',
+    compare: 'lower',
+    parse: (text) => {
+      const price = parsePrice(text);
+      return price ? price.amount : null;
+    },
+    unitOf: device => (parsePrice(device.price) || {}).currency,
+    format: (value, device) => `${value} ${(parsePrice(device.price) || {}).currency || ''}`.trim(),
+  },
+];
+
+/**
+ * Give a device record a stable id (devices are keyed by name)
+ * @param {Object} device - Raw device record
+ * @returns {Object}
+ */
+const normalizeDeviceData = device => ({ ...device, id: device.id || slugify(device.name) });
+
+/**
+ * Read a device row: parsed number for comparable rows, text otherwise
+ * @returns {Object} { value (number|string|null), display }
+ */
+const getDeviceFieldValue = (field, device) => {
+  const raw = device[field.from || field.key];
+  if (isBlankValue(raw)) return { value: null, display: null };
+  if (!field.parse) return { value: `${raw}`, display: `${raw}` };
+
+  const value = field.parse(raw);
+  if (value === null) return { value: null, display: null };
+  const display = field.format ? field.format(value, device) : `${value}${field.unit ? ` ${field.unit}` : ''}`;
+  return { value, display };
+};
+
+/**
+ * Slug for chipset matching. A "+" suffix is spelled out so that
+ * "Dimensity 9200+" and "Dimensity 9200 Plus" stay distinct from "Dimensity 9200".
+ * @param {string} text - Chipset or SoC name
+ * @returns {string|null}
+ */
+const chipsetSlug = (text) => slugify(`${text || ''}`.replace(/\+/g, ' plus '));
+
+/**
+ * Find the SoC record for a device's chipset string, e.g.
+ * "Qualcomm SM8650-AB Snapdragon 8 Gen 3 (4 nm)" -> snapdragon-8-gen-3.
+ * The longest id/name slug the chipset ends with wins, so suffixes such
+ * as Plus or Ultra only match SoCs that carry them too.
+ * @param {string} chipset - Device chipset text
+ * @returns {Object|null} SoC record
+ */
+const findSocForChipset = (chipset) => {
+  const slug = chipsetSlug(`${chipset || ''}`.replace(/\(.*?\)/g, ''));
+  if (!slug) return null;
+
+  let best = null;
+  let bestLength = 0;
+  state.socsData.forEach((soc) => {
+    [soc.id, chipsetSlug(soc.name)].forEach((candidate) => {
+      if (!candidate || candidate.length <= bestLength) return;
+      if (slug === candidate || slug.endsWith(`-${candidate}`)) {
+        best = soc;
+        bestLength = candidate.length;
+      }
+    });
+  });
+  return best;
+};
+
+/**
+ * Switch between processor and device comparison. Elements marked
+ * data-mode="soc" / data-mode="device" (and #deviceComparison) are shown
+ * for their mode only.
+ * @param {string} mode - 'soc' or 'device'
+ */
+const setComparisonMode = (mode) => {
+  state.comparisonMode = mode === 'device' ? 'device' : 'soc';
+  document.querySelectorAll('[data-mode]').forEach((el) => {
+    el.classList.toggle('hidden', el.dataset.mode !== state.comparisonMode);
+  });
+  const deviceContainer = document.getElementById('deviceComparison');
+  if (deviceContainer) deviceContainer.classList.toggle('hidden', state.comparisonMode !== 'device');
+
+  renderModeToggle();
+  if (state.comparisonMode === 'device') renderDeviceComparison();
+};
+
+/**
+ * Render the Processors / Phones switch into #modeToggle
+ */
+const renderModeToggle = () => {
+  const container = document.getElementById('modeToggle');
+  if (!container) return;
+
+  const button = (mode, label) => {
+    const active = state.comparisonMode === mode;
+    return `<button type="button" data-comparison-mode="${mode}" class="px-4 py-2 rounded-lg font-semibold transition ${active ? 'bg-purple-600 text-white' : 'text-gray-600 hover:bg-gray-100'}">${label}</button>`;
+  };
+
+  container.innerHTML = `
+    <div class="inline-flex p-1 bg-white rounded-xl shadow-md">
+      ${button('soc', `Processors (${state.socsData.length})`)}
+      ${button('device', `Phones (${state.devicesData.length})`)}
+    </div>`;
+
+  container.querySelectorAll('[data-comparison-mode]').forEach((btn) => {
+    btn.addEventListener('click', () => setComparisonMode(btn.dataset.comparisonMode));
+  });
+};
+
+/**
+ * Render device pickers and, with two or more devices picked, the device
+ * comparison table into #deviceComparison
+ */
+const renderDeviceComparison = () => {
+  const container = document.getElementById('deviceComparison');
+  if (!container) return;
+
+  if (!state.devicesData.length) {
+    container.innerHTML = '<div class="p-6 bg-white rounded-2xl shadow-md text-gray-500">No phone data loaded. Enable a device source under Data Sources.</div>';
+    return;
+  }
+
+  const devices = state.deviceSelection.map(id => state.devicesData.find(device => device.id === id)).filter(Boolean);
+  // Keep one empty picker after the last pick, up to the slot limit
+  const pickers = Math.min(CONFIG.MAX_COMPARISON_SLOTS, Math.max(CONFIG.MIN_COMPARISON_SLOTS, devices.length + 1));
+
+  const selects = Array.from({ length: pickers }, (_, i) => `
+    <div class="flex items-center gap-2">
+      <span class="w-3 h-3 rounded-full flex-shrink-0" style="background:${getSlotColor(i)}"></span>
+      <select data-device-slot="${i}" class="flex-1 px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-purple-500 focus:outline-none">
+        <option value="">Select a phone...</option>
+        ${state.devicesData.map(device => `<option value="${escapeHtml(device.id)}" ${devices[i] && devices[i].id === device.id ? 'selected' : ''}>${escapeHtml(device.name)}</option>`).join('')}
+      </select>
+    </div>`).join('');
+
+  container.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md mb-6">
+      <h4 class="text-lg font-bold text-gray-800 mb-4">Compare Phones</h4>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-4">${selects}</div>
+    </div>
+    <div id="deviceResult">${devices.length >= 2 ? buildDeviceComparisonTable(devices) : ''}</div>`;
+
+  container.querySelectorAll('[data-device-slot]').forEach((select) => {
+    select.addEventListener('change', () => {
+      const selection = [...state.deviceSelection];
+      selection[select.dataset.deviceSlot] = select.value;
+      state.deviceSelection = [...new Set(selection.filter(Boolean))];
+      renderDeviceComparison();
+    });
+  });
+  container.querySelectorAll('[data-compare-chipsets]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      fillComparisonSlots(btn.dataset.compareChipsets.split(','));
+      setComparisonMode('soc');
+      executeComparison();
+    });
+  });
+};
+
+/**
+ * Build the device comparison table. The Platform section shows the
+ * linked SoC with its performance index and component scores.
+ * @param {Array} devices - Device records (2+)
+ * @returns {string} HTML
+ */
+const buildDeviceComparisonTable = (devices) => {
+  const socs = devices.map(device => findSocForChipset(device.chipset));
+  const linkedIds = [...new Set(socs.filter(Boolean).map(soc => soc.id))];
+
+  const row = (label, cells, classes = []) => `
+    <tr class="border-b hover:bg-gray-50 transition">
+      <td class="px-6 py-4 font-semibold text-gray-700">${label}</td>
+      ${cells.map((cell, i) => `<td class="px-6 py-4 text-center ${classes[i] || ''}">${cell}</td>`).join('')}
+    </tr>`;
+  const na = '<span class="text-gray-400">N/A</span>';
+
+  // Scores of the linked SoCs, highlighted like the processor table
+  const socRows = () => {
+    const indices = socs.map(soc => (soc ? calculatePerformanceIndex(soc) : 'N/A'));
+    const components = socs.map(soc => (soc ? scoreComponents(soc).scores : null));
+    return [
+      row('SoC in Database', socs.map(soc => (soc ? escapeHtml(soc.name) : '<span class="text-gray-400">Not in database</span>'))),
+      row('Performance Index', indices.map(v => (v === 'N/A' ? na : v.toFixed(1))), getRowHighlightClasses(indices, 'higher')),
+      ...SCORE_COMPONENTS.map(({ key, label }) => {
+        const values = components.map(scores => (scores ? Math.round(scores[key]) : 'N/A'));
+        return row(`${label} Score`, values.map(v => (v === 'N/A' ? na : v)), getRowHighlightClasses(values, 'higher'));
+      }),
+    ].join('');
+  };
+
+  const sections = DEVICE_CATEGORIES.map((category) => {
+    const rows = DEVICE_FIELDS.filter(field => field.category === category.key).map((field) => {
+      const values = devices.map(device => getDeviceFieldValue(field, device));
+      if (values.every(({ value }) => value === null)) return '';
+
+      // Rows with per-device units (currencies) are only ranked when they agree
+      const units = field.unitOf ? new Set(devices.map(field.unitOf)) : null;
+      const comparable = field.compare && field.parse && (!units || units.size === 1);
+      const classes = comparable
+        ? getRowHighlightClasses(values.map(({ value }) => (value === null ? 'N/A' : value)), field.compare)
+        : [];
+      return row(field.label, values.map(({ display }) => (display === null ? na : escapeHtml(display))), classes);
+    }).join('');
+
+    const extra = category.key === 'platform' ? socRows() : '';
+    if (!rows && !extra) return '';
+
+    return `
+      <div class="mb-8">
+        <h3 class="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-2"><span class="text-purple-600">${getCategoryIcon(category.icon)}</span>${category.name}</h3>
+        <div class="overflow-x-auto rounded-xl shadow-md">
+          <table class="w-full bg-white">
+            <thead class="bg-gradient-to-r from-purple-600 to-pink-600 text-white">
+              <tr>
+                <th class="px-6 py-4 text-left text-sm font-bold">Specification</th>
+                ${devices.map((device, i) => `<th class="px-6 py-4 text-center text-sm font-bold" style="color:${getSlotColor(i)}">${escapeHtml(device.name)}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>${rows}${extra}</tbody>
+          </table>
+        </div>
+      </div>`;
+  }).join('');
+
+  const compareChipsets = linkedIds.length >= 2
+    ? `<button type="button" data-compare-chipsets="${escapeHtml(linkedIds.join(','))}" class="mb-6 px-4 py-2 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-700 transition">Compare these chipsets in detail</button>`
+    : '';
+
+  return `${compareChipsets}${sections}`;
+};
+
+// =========================
+// Recommendations
+// =========================
+
+// Spec fields that make up the similarity vector (component scores are added too)
+const SIMILARITY_FIELDS = [
+  'fabProcess', 'numCores', 'frequency', 'weightedCoreCount', 'l2Cache', 'l3Cache',
+  'gpuCores', 'gpuClock', 'gpuFP32', 'memoryBandwidth', 'aiPerformanceTOPS', 'thermalDesignPower', 'launch',
+];
+
+// Minimum number of dimensions two SoCs must share to be compared
+const MIN_SHARED_DIMENSIONS = 3;
+
+/**
+ * Normalized (0-1) feature vector of a SoC: min-max scaled spec fields over
+ * the loaded dataset plus component scores. Missing fields stay null.
+ * @param {Object} soc - SoC data object
+ * @param {Object} ranges - { key: { min, max } } from getSimilarityRanges
+ * @returns {Array} Values (or null) in SIMILARITY_FIELDS + SCORE_COMPONENTS order
+ */
+const getSimilarityVector = (soc, ranges) => {
+  const { scores } = scoreComponents(soc);
+  return [
+    ...SIMILARITY_FIELDS.map((key) => {
+      const range = ranges[key];
+      const value = soc[key];
+      if (!range || typeof value !== 'number') return null;
+      return range.max === range.min ? 0.5 : (value - range.min) / (range.max - range.min);
+    }),
+    ...SCORE_COMPONENTS.map(({ key }) => scores[key] / 100),
+  ];
+};
+
+/**
+ * Dataset min/max of each similarity field
+ * @returns {Object} { key: { min, max } }
+ */
+const getSimilarityRanges = () => {
+  const ranges = {};
+  SIMILARITY_FIELDS.forEach((key) => {
+    const values = state.socsData.map(soc => soc[key]).filter(value => typeof value === 'number');
+    if (values.length) ranges[key] = { min: Math.min(...values), max: Math.max(...values) };
+  });
+  return ranges;
+};
+
+/**
+ * Similarity of two vectors from the RMS distance over shared dimensions
+ * @returns {number|null} 0-1, or null with too few shared dimensions
+ */
+const vectorSimilarity = (a, b) => {
+  let sum = 0;
+  let shared = 0;
+  a.forEach((value, i) => {
+    if (value === null || b[i] === null) return;
+    sum += (value - b[i]) ** 2;
+    shared++;
+  });
+  return shared < MIN_SHARED_DIMENSIONS ? null : 1 - Math.sqrt(sum / shared);
+};
+
+/**
+ * Nearest competitors of a SoC. Other manufacturers are preferred; the
+ * same vendor's chips are used only when no competitor is comparable.
+ * @param {Object} soc - Reference SoC
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} [{ soc, similarity }] most similar first
+ */
+const findSimilarSocs = (soc, limit = 5) => {
+  const ranges = getSimilarityRanges();
+  const reference = getSimilarityVector(soc, ranges);
+
+  const candidates = state.socsData
+    .filter(other => other.id !== soc.id)
+    .map(other => ({ soc: other, similarity: vectorSimilarity(reference, getSimilarityVector(other, ranges)) }))
+    .filter(({ similarity }) => similarity !== null)
+    .sort((a, b) => b.similarity - a.similarity);
+
+  const competitors = candidates.filter(({ soc: other }) => !soc.manufacturer || other.manufacturer !== soc.manufacturer);
+  return (competitors.length ? competitors : candidates).slice(0, limit);
+};
+
+/**
+ * Family and generation from an id: the last number is the generation.
+ * Model numbers of three or more digits keep their leading digit as the
+ * series tier ("dimensity-9300" -> dimensity-9### / 9300, "dimensity-8300" ->
+ * dimensity-8### / 8300, "snapdragon-8-gen-3" -> snapdragon-8-gen-# / 3).
+ * Variant suffixes stay in the family, so "-plus" chips form their own line.
+ * An explicit `family` field overrides the id-based grouping.
+ * @returns {Object|null} { family, generation }
+ */
+const getSocFamily = (soc) => {
+  const match = `${soc.id || ''}`.match(/^(.*?)(\d+)(\D*)$/);
+  const generation = match ? parseInt(match[2], 10) : 0;
+  if (!isBlankValue(soc.family)) return { family: `family:${slugify(soc.family)}`, generation };
+  if (!match) return null;
+
+  const [, prefix, digits, suffix] = match;
+  const series = digits.length >= 3 ? `${digits[0]}${'#'.repeat(digits.length - 1)}` : '#';
+  return { family: `${prefix}${series}${suffix}`, generation };
+};
+
+/**
+ * Direct predecessor and successor in the same family, ordered by launch
+ * year, then generation number
+ * @param {Object} soc - Reference SoC
+ * @returns {Object} { predecessor, successor } (null when not loaded)
+ */
+const findFamilyNeighbours = (soc) => {
+  const own = getSocFamily(soc);
+  if (!own) return { predecessor: null, successor: null };
+
+  const order = (item) => [item.soc.launch || 0, item.generation];
+  const compare = (a, b) => order(a)[0] - order(b)[0] || order(a)[1] - order(b)[1];
+  const self = { soc, generation: own.generation };
+
+  const family = state.socsData
+    .filter(other => other.id !== soc.id)
+    .map(other => ({ soc: other, ...getSocFamily(other) }))
+    .filter(other => other.family === own.family && other.generation !== own.generation)
+    .sort(compare);
+
+  const older = family.filter(item => compare(item, self) < 0);
+  const newer = family.filter(item => compare(item, self) > 0);
+  return {
+    predecessor: older.length ? older[older.length - 1].soc : null,
+    successor: newer.length ? newer[0].soc : null,
+  };
+};
+
+/**
+ * Numeric schema fields available as finder constraints
+ * @returns {Array} FIELD_SCHEMA entries
+ */
+const getConstraintFields = () => FIELD_SCHEMA.filter(field => ['integer', 'number'].includes(field.type) && field.category);
+
+/**
+ * Find SoCs meeting every constraint, ranked by performance index under
+ * the active weights. SoCs missing a constrained field don't qualify.
+ * @param {Array} constraints - [{ key, op: '<='|'>=', value }]
+ * @returns {Array} [{ soc, index }] best first
+ */
+const findSocsByConstraints = (constraints) => {
+  const active = constraints.filter(({ key, value }) => key && typeof value === 'number' && !Number.isNaN(value));
+  return state.socsData
+    .filter(soc => active.every(({ key, op, value }) => {
+      const actual = soc[key];
+      if (typeof actual !== 'number') return false;
+      return op === '<=' ? actual <= value : actual >= value;
+    }))
+    .map(soc => ({ soc, index: calculatePerformanceIndex(soc) }))
+    .sort((a, b) => b.index - a.index);
+};
+
+/**
+ * Compare two SoCs from a recommendation
+ * @param {string[]} ids - SoC ids
+ */
+const compareRecommendation = (ids) => {
+  fillComparisonSlots(ids);
+  executeComparison();
+};
+
+/**
+ * Render similar chips and family neighbours of the first selected SoC
+ * into #recommendations
+ */
+const renderRecommendations = () => {
+  const container = document.getElementById('recommendations');
+  if (!container) return;
+
+  const soc = findSocById(getSelectedSlotValues().find(Boolean));
+  if (!soc) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const similar = findSimilarSocs(soc);
+  const { predecessor, successor } = findFamilyNeighbours(soc);
+  const compareButton = (other, label) => `
+    <button type="button" data-recommend="${escapeHtml(`${soc.id},${other.id}`)}" class="w-full flex items-center justify-between gap-2 px-3 py-2 rounded-lg border-2 border-gray-200 hover:border-purple-400 transition text-left">
+      <span class="font-semibold text-gray-800">${escapeHtml(other.name)}</span>
+      <span class="text-xs text-gray-500">${label}</span>
+    </button>`;
+
+  container.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <h4 class="text-lg font-bold text-gray-800 mb-4">Compare ${escapeHtml(soc.name)} with...</h4>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <div class="text-sm font-semibold text-gray-600 mb-2">Closest competitors</div>
+          <div class="space-y-2">
+            ${similar.length
+              ? similar.map(({ soc: other, similarity }) => compareButton(other, `${Math.round(similarity * 100)}% similar`)).join('')
+              : '<div class="text-sm text-gray-500">No comparable chips loaded.</div>'}
+          </div>
+        </div>
+        <div>
+          <div class="text-sm font-semibold text-gray-600 mb-2">Same family</div>
+          <div class="space-y-2">
+            ${predecessor ? compareButton(predecessor, `Predecessor${predecessor.launch ? ` (${predecessor.launch})` : ''}`) : ''}
+            ${successor ? compareButton(successor, `Successor${successor.launch ? ` (${successor.launch})` : ''}`) : ''}
+            ${!predecessor && !successor ? '<div class="text-sm text-gray-500">No other generations loaded.</div>' : ''}
+          </div>
+        </div>
+      </div>
+    </div>`;
+
+  container.querySelectorAll('[data-recommend]').forEach((btn) => {
+    btn.addEventListener('click', () => compareRecommendation(btn.dataset.recommend.split(',')));
+  });
+};
+
+/**
+ * Render the constraint finder and its ranked results into #chipFinder
+ */
+const renderChipFinder = () => {
+  const container = document.getElementById('chipFinder');
+  if (!container) return;
+
+  const fields = getConstraintFields();
+  const results = state.constraints.length ? findSocsByConstraints(state.constraints).slice(0, 10) : [];
+
+  const rows = state.constraints.map(({ key, op, value }, i) => `
+    <div class="flex items-center gap-2">
+      <select data-constraint="${i}" data-part="key" class="flex-1 px-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:border-purple-500 focus:outline-none">
+        ${fields.map(field => `<option value="${field.key}" ${field.key === key ? 'selected' : ''}>${field.label}${field.unit ? ` (${field.unit})` : ''}</option>`).join('')}
+      </select>
+      <select data-constraint="${i}" data-part="op" class="px-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:border-purple-500 focus:outline-none">
+        <option value=">=" ${op === '>=' ? 'selected' : ''}>≥</option>
+        <option value="<=" ${op === '<=' ? 'selected' : ''}>≤</option>
+      </select>
+      <input type="number" step="any" data-constraint="${i}" data-part="value" value="${Number.isNaN(value) ? '' : value}" class="w-24 px-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:border-purple-500 focus:outline-none">
+      <button type="button" data-remove-constraint="${i}" class="px-2 text-gray-400 hover:text-red-600 transition" title="Remove constraint">✕</button>
+    </div>`).join('');
+
+  const resultList = state.constraints.length
+    ? (results.length
+      ? `<ol class="mt-4 space-y-1 text-sm">${results.map(({ soc, index }, i) => `
+          <li class="flex items-center justify-between gap-2">
+            <span><span class="text-gray-400">${i + 1}.</span> <span class="font-semibold text-gray-800">${escapeHtml(soc.name)}</span></span>
+            <span class="flex items-center gap-3"><span class="text-gray-500">${index.toFixed(1)}</span>
+            <button type="button" data-finder-add="${escapeHtml(soc.id)}" class="text-purple-700 font-semibold hover:underline">Add to slots</button></span>
+          </li>`).join('')}</ol>`
+      : '<div class="mt-4 text-sm text-gray-500">No loaded chip meets every constraint.</div>')
+    : '';
+
+  container.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <div class="flex items-baseline justify-between mb-4">
+        <h4 class="text-lg font-bold text-gray-800">Find the Best Chip</h4>
+        <span class="text-xs text-gray-400">Ranked by the active weights</span>
+      </div>
+      <div class="space-y-2">${rows}</div>
+      <button type="button" id="addConstraintBtn" class="mt-3 text-sm font-semibold text-purple-700 hover:underline">+ Add constraint</button>
+      ${resultList}
+    </div>`;
+
+  container.querySelectorAll('[data-constraint]').forEach((input) => {
+    input.addEventListener('change', () => {
+      const constraint = state.constraints[input.dataset.constraint];
+      constraint[input.dataset.part] = input.dataset.part === 'value' ? parseFloat(input.value) : input.value;
+      renderChipFinder();
+    });
+  });
+  container.querySelectorAll('[data-remove-constraint]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      state.constraints.splice(btn.dataset.removeConstraint, 1);
+      renderChipFinder();
+    });
+  });
+  container.querySelectorAll('[data-finder-add]').forEach((btn) => {
+    btn.addEventListener('click', () => addSocToSlots(btn.dataset.finderAdd));
+  });
+  document.getElementById('addConstraintBtn').addEventListener('click', () => {
+    state.constraints.push({ key: fields[0].key, op: '>=', value: NaN });
+    renderChipFinder();
+  });
+};
+
+/**
+ * Put a SoC into the first empty comparison slot, adding a slot if all are
+ * taken (the last slot is replaced once MAX_COMPARISON_SLOTS is reached)
+ * @param {string} id - SoC id
+ */
+const addSocToSlots = (id) => {
+  const ids = getSelectedSlotValues();
+  if (ids.includes(id)) return;
+
+  const empty = ids.indexOf('');
+  if (empty !== -1) ids[empty] = id;
+  else if (ids.length < CONFIG.MAX_COMPARISON_SLOTS) ids.push(id);
+  else ids[ids.length - 1] = id;
+
+  fillComparisonSlots(ids);
+  handleSlotChange();
+};
+
+// =========================
+// Timeline
+// =========================
+
+// Metrics plotted over launch year. `value` returns null when unknown.
+const TIMELINE_METRICS = [
+  { key: 'index', label: 'Performance Index', value: soc => calculatePerformanceIndex(soc) },
+  { key: 'benchmarkGeekbench6Single', label: 'Geekbench 6 Single-Core', value: soc => soc.benchmarkGeekbench6Single },
+  { key: 'benchmarkGeekbench6Multi', label: 'Geekbench 6 Multi-Core', value: soc => soc.benchmarkGeekbench6Multi },
+  { key: 'gpu', label: 'GPU Score', value: soc => scoreComponents(soc).scores.gpu },
+  { key: 'fabProcess', label: 'Process Node', unit: 'nm', lowerIsBetter: true, value: soc => soc.fabProcess },
+];
+
+/**
+ * Value of a timeline metric, or null when missing
+ * @returns {number|null}
+ */
+const getTimelineValue = (soc, metric) => {
+  const value = metric.value(soc);
+  return typeof value === 'number' && !Number.isNaN(value) && value > 0 ? value : null;
+};
+
+/**
+ * Display name of a family: the explicit `family` field, or the newest
+ * member's name with the generation number replaced, keeping the series
+ * digit ("MediaTek Dimensity 9300" -> "MediaTek Dimensity 9xxx",
+ * "Snapdragon 8 Gen 3" -> "Snapdragon 8 Gen *")
+ * @param {Array} members - SoCs of one family
+ * @returns {string}
+ */
+const getFamilyLabel = (members) => {
+  const { name, family } = members[members.length - 1];
+  if (!isBlankValue(family)) return `${family}`;
+  return `${name || ''}`.replace(/\d+(?!.*\d)/, digits => (digits.length >= 3 ? `${digits[0]}${'x'.repeat(digits.length - 1)}` : '*'));
+};
+
+/**
+ * Group SoCs with a known launch year by vendor or family, each group
+ * ordered as a successor chain (launch year, then generation)
+ * @param {string} groupBy - 'manufacturer' or 'family'
+ * @returns {Array} [{ label, socs }]
+ */
+const getTimelineGroups = (groupBy) => {
+  const groups = new Map();
+  state.socsData.forEach((soc) => {
+    if (typeof soc.launch !== 'number') return;
+    const family = getSocFamily(soc);
+    const key = groupBy === 'family'
+      ? (family ? family.family : soc.id)
+      : (soc.manufacturer || 'Unknown');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(soc);
+  });
+
+  const generation = soc => (getSocFamily(soc) || { generation: 0 }).generation;
+  return Array.from(groups.values()).map((socs) => {
+    socs.sort((a, b) => a.launch - b.launch || generation(a) - generation(b));
+    return { label: groupBy === 'family' ? getFamilyLabel(socs) : (socs[0].manufacturer || 'Unknown'), socs };
+  }).sort((a, b) => a.label.localeCompare(b.label));
+};
+
+/**
+ * Year-over-year gains along each family's successor chain. Gains over a
+ * multi-year gap are annualized; for lower-is-better metrics a drop is a gain.
+ * @param {Object} metric - TIMELINE_METRICS entry
+ * @returns {Array} [{ family, from, to, change, perYear }] (percent values)
+ */
+const computeYearOverYearGains = (metric) => {
+  const gains = [];
+  getTimelineGroups('family').forEach(({ label, socs }) => {
+    const chain = socs.filter(soc => getTimelineValue(soc, metric) !== null);
+    for (let i = 1; i < chain.length; i++) {
+      const from = chain[i - 1];
+      const to = chain[i];
+      const a = getTimelineValue(from, metric);
+      const b = getTimelineValue(to, metric);
+      const ratio = metric.lowerIsBetter ? a / b : b / a;
+      const years = to.launch - from.launch;
+      gains.push({
+        family: label,
+        from,
+        to,
+        change: (ratio - 1) * 100,
+        perYear: years > 0 ? (ratio ** (1 / years) - 1) * 100 : null,
+      });
+    }
+  });
+  return gains;
+};
+
+/**
+ * Format a percentage gain with sign and color
+ * @returns {string} HTML
+ */
+const formatGain = (value) => {
+  if (value === null) return '<span class="text-gray-400">same year</span>';
+  const color = value > 0 ? 'text-green-600' : value < 0 ? 'text-red-600' : 'text-gray-500';
+  return `<span class="${color} font-semibold">${value > 0 ? '+' : ''}${value.toFixed(1)}%</span>`;
+};
+
+/**
+ * Draw the timeline chart: one line per group over launch year, with the
+ * chips in the active comparison drawn larger
+ * @param {string} canvasId
+ * @param {Object} metric - TIMELINE_METRICS entry
+ * @param {Array} groups - From getTimelineGroups
+ */
+const createTimelineChart = (canvasId, metric, groups) => {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) return;
+
+  if (state.charts.timeline) state.charts.timeline.destroy();
+
+  const compared = new Set((state.activeComparison || []).map(soc => soc.id));
+
+  state.charts.timeline = new Chart(canvas, {
+    type: 'line',
+    data: {
+      datasets: groups.map(({ label, socs }, i) => {
+        const points = socs
+          .map(soc => ({ x: soc.launch, y: getTimelineValue(soc, metric), soc }))
+          .filter(point => point.y !== null);
+        return {
+          label,
+          data: points,
+          borderColor: getSlotColor(i),
+          backgroundColor: getSlotColor(i, 0.7),
+          pointRadius: points.map(({ soc }) => (compared.has(soc.id) ? 9 : 4)),
+          pointBorderWidth: points.map(({ soc }) => (compared.has(soc.id) ? 3 : 1)),
+          pointBorderColor: points.map(({ soc }) => (compared.has(soc.id) ? '#111827' : getSlotColor(i))),
+          tension: 0.2,
+        };
+      }).filter(dataset => dataset.data.length),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      parsing: false,
+      scales: {
+        x: { type: 'linear', title: { display: true, text: 'Launch Year' }, ticks: { stepSize: 1, precision: 0 } },
+        y: {
+          reverse: !!metric.lowerIsBetter,
+          title: { display: true, text: metric.unit ? `${metric.label} (${metric.unit})` : metric.label },
+        },
+      },
+      plugins: {
+        legend: { position: 'top' },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => {
+              const { soc, y } = ctx.raw;
+              const value = Number.isInteger(y) ? y : y.toFixed(1);
+              return `${soc.name} (${soc.launch}): ${value}${metric.unit ? ` ${metric.unit}` : ''}${compared.has(soc.id) ? ' ★' : ''}`;
+            },
+          },
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Render the generational timeline (metric/grouping pickers, chart and
+ * year-over-year gains) into #timeline
+ */
+const renderTimeline = () => {
+  const container = document.getElementById('timeline');
+  if (!container || container.classList.contains('hidden')) return;
+
+  const metric = TIMELINE_METRICS.find(({ key }) => key === state.timeline.metric) || TIMELINE_METRICS[0];
+  const groups = getTimelineGroups(state.timeline.groupBy);
+  const gains = computeYearOverYearGains(metric);
+  const formatValue = soc => {
+    const value = getTimelineValue(soc, metric);
+    return `${Number.isInteger(value) ? value : value.toFixed(1)}${metric.unit ? ` ${metric.unit}` : ''}`;
+  };
+
+  container.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h4 class="text-lg font-bold text-gray-800">Generational Timeline</h4>
+        <div class="flex flex-wrap gap-2">
+          <select id="timelineMetric" class="px-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:border-purple-500 focus:outline-none">
+            ${TIMELINE_METRICS.map(({ key, label }) => `<option value="${key}" ${key === metric.key ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+          <select id="timelineGroupBy" class="px-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:border-purple-500 focus:outline-none">
+            <option value="manufacturer" ${state.timeline.groupBy === 'manufacturer' ? 'selected' : ''}>By vendor</option>
+            <option value="family" ${state.timeline.groupBy === 'family' ? 'selected' : ''}>By family</option>
+          </select>
+        </div>
+      </div>
+      <div style="height:360px">
+        <canvas id="timelineChart"></canvas>
+      </div>
+      <div class="mt-6">
+        <div class="text-sm font-semibold text-gray-600 mb-2">Year-over-year gains (${metric.label})</div>
+        ${gains.length ? `
+          <table class="w-full text-sm">
+            <thead><tr class="text-left text-gray-500 border-b">
+              <th class="py-2 pr-3">Family</th><th class="py-2 pr-3">Predecessor</th><th class="py-2 pr-3">Successor</th>
+              <th class="py-2 pr-3 text-right">Change</th><th class="py-2 text-right">Per year</th>
+            </tr></thead>
+            <tbody>
+              ${gains.map(({ family, from, to, change, perYear }) => `
+                <tr class="border-b border-gray-100">
+                  <td class="py-2 pr-3 text-gray-600">${escapeHtml(family)}</td>
+                  <td class="py-2 pr-3">${escapeHtml(from.name)} <span class="text-gray-400">(${from.launch}, ${formatValue(from)})</span></td>
+                  <td class="py-2 pr-3">${escapeHtml(to.name)} <span class="text-gray-400">(${to.launch}, ${formatValue(to)})</span></td>
+                  <td class="py-2 pr-3 text-right">${formatGain(change)}</td>
+                  <td class="py-2 text-right">${formatGain(perYear)}</td>
+                </tr>`).join('')}
+            </tbody>
+          </table>`
+        : '<div class="text-sm text-gray-500">Load two or more generations of a family to see gains.</div>'}
+      </div>
+    </div>`;
+
+  document.getElementById('timelineMetric').addEventListener('change', (e) => {
+    state.timeline.metric = e.target.value;
+    renderTimeline();
+  });
+  document.getElementById('timelineGroupBy').addEventListener('change', (e) => {
+    state.timeline.groupBy = e.target.value;
+    renderTimeline();
+  });
+
+  setTimeout(() => createTimelineChart('timelineChart', metric, groups), 50);
+};
+
+/**
+ * Show or hide the timeline page (#timeline)
+ */
+const toggleTimeline = () => {
+  const container = document.getElementById('timeline');
+  if (!container) return;
+  container.classList.toggle('hidden');
+  if (container.classList.contains('hidden') && state.charts.timeline) {
+    state.charts.timeline.destroy();
+    state.charts.timeline = null;
+  }
+  renderTimeline();
+};
+
+// =========================
+// Persistence & Utilities
+// =========================
+
+/**
+ * Save last comparison to localStorage
+ * @param {string[]} ids - SoC id per slot ('' for empty)
+ */
+const saveLastComparison = (ids) => {
+  try {
+    const payload = { ids, timestamp: Date.now() };
+    localStorage.setItem(CONFIG.LAST_COMPARISON_KEY, JSON.stringify(payload));
+  } catch (e) {
+    console.warn('Failed to save last comparison', e);
+  }
+};
+
+/**
+ * Resolve a saved comparison to SoC ids. Older saves stored positions in
+ * the (unfiltered) dropdown list - { indices } or { idx1, idx2 } - which
+ * are mapped to ids once, best effort.
+ * @param {Object} saved - Parsed LAST_COMPARISON_KEY payload
+ * @returns {string[]} One id per slot ('' where unresolvable)
+ */
+const migrateSavedComparison = (saved) => {
+  if (Array.isArray(saved.ids)) return saved.ids.map(id => id || '');
+
+  const indices = saved.indices || [saved.idx1, saved.idx2];
+  return indices.map((idx) => {
+    const soc = idx === undefined || idx === null || idx === '' ? null : state.socsData[parseInt(idx, 10)];
+    return soc ? soc.id : '';
+  });
+};
+
+/**
+ * Restore last comparison if it exists
+ */
+const restoreLastComparison = () => {
+  try {
+    const raw = localStorage.getItem(CONFIG.LAST_COMPARISON_KEY);
+    if (!raw) return;
+    const saved = JSON.parse(raw);
+    const ids = migrateSavedComparison(saved).slice(0, CONFIG.MAX_COMPARISON_SLOTS);
+
+    if (!ids.some(id => id && findSocById(id))) return;
+
+    // Rewrite legacy index-based saves in the id format
+    if (!Array.isArray(saved.ids)) saveLastComparison(ids);
+
+    fillComparisonSlots(ids);
+    // Optionally auto-run comparison - comment out if undesired
+    // executeComparison();
+  } catch (e) {
+    console.warn('Failed to restore last comparison', e);
+  }
+};
+
+/**
+ * Put SoC ids into the comparison slots, adding slots as needed
+ * @param {string[]} ids - SoC ids (at most MAX_COMPARISON_SLOTS)
+ */
+const fillComparisonSlots = (ids) => {
+  state.slotCount = Math.max(CONFIG.MIN_COMPARISON_SLOTS, ids.length);
+  renderComparisonSlots(ids);
+
+  // Static markup (no #socSlots container) is filled in place
+  if (!document.getElementById('socSlots')) setSlotSelections(ids);
+};
+
+/**
+ * Scroll viewport to results section
+ */
+const scrollToResults = () => {
+  const el = document.getElementById('result');
+  if (!el) return;
+  el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
+/**
+ * Set loading spinner visibility
+ */
+const showLoadingSpinner = (show) => {
+  state.isLoading = !!show;
+  const loadingEl = document.getElementById('loading');
+  if (!loadingEl) return;
+  if (show) loadingEl.classList.remove('hidden');
+  else loadingEl.classList.add('hidden');
+};
+
+/**
+ * Display an error message in UI (simple)
+ */
+const showErrorMessage = (msg) => {
+  console.error(msg);
+  // Simple toast / banner fallback
+  const errEl = document.getElementById('errorBanner');
+  if (errEl) {
+    errEl.textContent = msg;
+    errEl.classList.remove('hidden');
+    setTimeout(() => errEl.classList.add('hidden'), 6000);
+  } else {
+    alert(msg);
+  }
+};
+
+/**
+ * Display an informational message (e.g. new data arrived)
+ */
+const showNotice = (msg) => {
+  console.log(msg);
+  const el = document.getElementById('noticeBanner') || document.getElementById('errorBanner');
+  if (!el) return;
+  el.textContent = msg;
+  el.classList.remove('hidden');
+  setTimeout(() => el.classList.add('hidden'), 8000);
+};
+
+/**
+ * Validate comparison selections (enable/disable compare button)
+ */
+const validateComparison = () => {
+  const btn = document.getElementById('compareBtn');
+  if (!btn) return;
+  btn.disabled = !isValidSelection(getSelectedSlotValues().filter(value => value !== ''));
+};
+
+// =========================
+// Category Filters
+// =========================
+
+/**
+ * Render category toggle chips into #categoryFilters
+ */
+const renderCategoryFilters = () => {
+  const container = document.getElementById('categoryFilters');
+  if (!container) return;
+
+  container.innerHTML = COMPARISON_CATEGORIES.map(({ key, name }) => {
+    const active = !state.hiddenCategories.includes(key);
+    return `<button type="button" data-category="${key}" aria-pressed="${active}" class="px-3 py-1 rounded-full text-sm font-semibold border-2 transition ${active ? 'bg-purple-600 border-purple-600 text-white' : 'border-gray-200 text-gray-500 hover:border-purple-300'}">${name}</button>`;
+  }).join('');
+
+  container.querySelectorAll('[data-category]').forEach(btn => {
+    btn.addEventListener('click', () => toggleCategory(btn.dataset.category));
+  });
+};
+
+/**
+ * Show or hide a comparison table category
+ * @param {string} key - COMPARISON_CATEGORIES key
+ */
+const toggleCategory = (key) => {
+  state.hiddenCategories = state.hiddenCategories.includes(key)
+    ? state.hiddenCategories.filter(k => k !== key)
+    : [...state.hiddenCategories, key];
+
+  renderCategoryFilters();
+  if (state.activeComparison.length >= 2) {
+    displayComparisonTable(state.activeComparison, calculateDetailedComparison(state.activeComparison));
+  }
+  updateShareUrl();
+};
+
+// =========================
+// Shareable Links
+// =========================
+
+/**
+ * Build a deep link for the current selection, weights, scoring mode and
+ * category filters. State lives in the hash (#ids=a,b&preset=Gaming...)
+ * so static hosting needs no server support.
+ * @returns {string} Absolute URL
+ */
+const buildShareUrl = () => {
+  const params = new URLSearchParams();
+  const ids = getSelectedSlotValues().filter(Boolean);
+  if (ids.length) params.set('ids', ids.join(','));
+
+  // Built-in presets travel by name; anything else as key:value pairs
+  if (WEIGHT_PRESETS[state.weightPreset]) {
+    params.set('preset', state.weightPreset);
+  } else {
+    const weights = withAllComponents(state.weights);
+    params.set('w', SCORE_COMPONENTS.map(({ key }) => `${key}:${weights[key]}`).join(','));
+  }
+
+  if (state.scoringMode !== 'spec') params.set('mode', state.scoringMode);
+
+  if (state.hiddenCategories.length) {
+    const visible = COMPARISON_CATEGORIES.map(c => c.key).filter(k => !state.hiddenCategories.includes(k));
+    params.set('cats', visible.join(','));
+  }
+
+  // Keep the widget view when its URL is rewritten
+  if (state.embedMode) {
+    params.set('embed', '1');
+    params.set('theme', state.darkMode ? 'dark' : 'light');
+  }
+
+  const base = window.location.href.split('#')[0];
+  return `${base}#${params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':')}`;
+};
+
+/**
+ * Parse share-link state from the URL hash
+ * @returns {Object|null} { ids, preset, weights, mode, categories } or null without link state
+ */
+const parseShareUrl = () => {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  if (!['ids', 'preset', 'w', 'mode', 'cats'].some(key => params.has(key))) return null;
+
+  let weights = null;
+  if (params.has('w')) {
+    weights = {};
+    params.get('w').split(',').forEach((pair) => {
+      const [key, value] = pair.split(':');
+      if (key) weights[key] = parseInt(value, 10);
+    });
+  }
+
+  return {
+    ids: params.has('ids') ? params.get('ids').split(',').filter(Boolean) : [],
+    preset: params.get('preset'),
+    weights,
+    mode: params.get('mode'),
+    categories: params.has('cats') ? params.get('cats').split(',').filter(Boolean) : null,
+  };
+};
+
+/**
+ * Apply share-link state from the URL. Weights from a link are used for
+ * this session but not saved over the visitor's own preferences.
+ * @returns {boolean} True if the link selected a comparison
+ */
+const restoreFromUrl = () => {
+  const link = parseShareUrl();
+  if (!link) return false;
+
+  if (link.weights && isValidWeights(withAllComponents(link.weights))) {
+    state.weights = withAllComponents(link.weights);
+    state.weightPreset = '';
+  } else if (link.preset && WEIGHT_PRESETS[link.preset]) {
+    state.weights = withAllComponents(WEIGHT_PRESETS[link.preset]);
+    state.weightPreset = link.preset;
+  }
+
+  if (link.mode) state.scoringMode = link.mode === 'measured' ? 'measured' : 'spec';
+
+  if (link.categories) {
+    state.hiddenCategories = COMPARISON_CATEGORIES.map(c => c.key).filter(k => !link.categories.includes(k));
+  }
+
+  updateWeightsEditor();
+  renderCategoryFilters();
+
+  const ids = link.ids.filter(id => findSocById(id)).slice(0, CONFIG.MAX_COMPARISON_SLOTS);
+  if (link.ids.length > ids.length) {
+    showErrorMessage('Some processors in this link are not in the loaded database');
+  }
+  if (ids.length < 2) return false;
+
+  fillComparisonSlots(ids);
+  executeComparison();
+  return true;
+};
+
+/**
+ * Restore the initial comparison: a shared link wins over localStorage.
+ * Embedded widgets only ever show the linked comparison.
+ */
+const restoreInitialComparison = () => {
+  if (!restoreFromUrl() && !state.embedMode) restoreLastComparison();
+  state.shareUrlReady = true;
+  updateShareUrl();
+};
+
+/**
+ * Mirror the current state into the address bar without adding history entries
+ */
+const updateShareUrl = () => {
+  if (!state.shareUrlReady || !window.history || !window.history.replaceState) return;
+  try {
+    window.history.replaceState(null, '', buildShareUrl());
+  } catch (e) {
+    console.warn('Failed to update share URL', e);
+  }
+};
+
+/**
+ * Copy text to the clipboard and flash "Copied!" on a button
+ * @param {string} text - Text to copy
+ * @param {string} buttonId - Button to give feedback on
+ * @param {string} failureMessage - Shown if the copy fails
+ */
+const copyTextWithFeedback = async (text, buttonId, failureMessage) => {
+  const btn = document.getElementById(buttonId);
+
+  try {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText(text);
+    } else {
+      // Fallback for non-secure contexts
+      const input = document.createElement('textarea');
+      input.value = text;
+      document.body.appendChild(input);
+      input.select();
+      document.execCommand('copy');
+      input.remove();
+    }
+  } catch (e) {
+    showErrorMessage(failureMessage);
+    return;
+  }
+
+  if (btn) {
+    const label = btn.textContent;
+    btn.textContent = 'Copied!';
+    setTimeout(() => { btn.textContent = label; }, 2000);
+  }
+};
+
+/**
+ * Copy the share link to the clipboard, with feedback on the button
+ */
+const copyShareLink = () => copyTextWithFeedback(
+  buildShareUrl(),
+  'copyLinkBtn',
+  'Could not copy link - copy it from the address bar instead'
+);
+
+
+// =========================
+// Embed Widget
+// =========================
+
+// Page sections moved into the widget, in order
+const EMBED_SECTIONS = ['errorBanner', 'winner', 'comparisonSummary', 'scoreCards', 'performanceRadar'];
+
+/**
+ * Link that renders the current comparison as a chrome-less widget
+ * @returns {string} Absolute URL
+ */
+const buildEmbedUrl = () => {
+  const url = buildShareUrl();
+  if (state.embedMode) return url;
+  return `${url}&embed=1${state.darkMode ? '&theme=dark' : ''}`;
+};
+
+/**
+ * iframe snippet for publishing the current comparison
+ * @returns {string} HTML
+ */
+const buildEmbedSnippet = () => {
+  const names = getSelectedSocs().map(soc => soc.name).join(' vs ');
+  return `<iframe src="${escapeHtml(buildEmbedUrl())}" title="${escapeHtml(names || 'SoC comparison')}" width="100%" height="760" style="border:0;max-width:960px" loading="lazy"></iframe>`;
+};
+
+/**
+ * Copy the embed snippet to the clipboard, with feedback on the button
+ */
+const copyEmbedSnippet = async () => {
+  if (!isValidSelection(getSelectedSocs().map(soc => soc.id))) {
+    showErrorMessage('Select at least two different processors to embed a comparison');
+    return;
+  }
+  await copyTextWithFeedback(buildEmbedSnippet(), 'copyEmbedBtn', 'Could not copy the embed code');
+};
+
+/**
+ * Switch to widget mode when the URL has `embed` (#ids=a,b&embed=1):
+ * only the result sections stay visible, with a link to the full page.
+ * `theme=dark|light` overrides the stored theme for this view.
+ */
+const applyEmbedMode = () => {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  if (!params.has('embed') || document.getElementById('embedWidget')) return;
+
+  state.embedMode = true;
+  document.documentElement.classList.add('embed-mode');
+  if (params.has('theme')) {
+    state.darkMode = params.get('theme') === 'dark';
+    document.documentElement.classList.toggle('dark', state.darkMode);
+  }
+
+  Array.from(document.body.children).forEach(child => child.classList.add('hidden'));
+
+  const widget = document.createElement('div');
+  widget.id = 'embedWidget';
+  widget.className = 'max-w-5xl mx-auto p-4 space-y-6';
+  EMBED_SECTIONS.forEach((id) => {
+    const section = document.getElementById(id) || Object.assign(document.createElement('div'), { id });
+    widget.appendChild(section);
+  });
+
+  params.delete('embed');
+  params.delete('theme');
+  const fullUrl = `${window.location.href.split('#')[0]}#${params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':')}`;
+  widget.insertAdjacentHTML('beforeend', `
+    <div class="text-right text-xs">
+      <a href="${escapeHtml(fullUrl)}" target="_blank" rel="noopener" class="text-purple-700 font-semibold hover:underline">Full comparison →</a>
+    </div>`);
+  document.body.appendChild(widget);
+};
+
+// =========================
+// Export / Download Helpers
+// =========================
+
+/**
+ * Build a filename stem like "A_vs_B_vs_C" for exports
+ */
+const getComparisonFileStem = (socs) => socs.map(soc => soc.name).join('_vs_');
+
+// Appended to the best value in each exported row
+const WINNER_MARKER = '★';
+
+/**
+ * Format one exported spec cell as plain text, the way the comparison
+ * table shows it: prefix and unit, "≈" for calculated numbers
+ */
+const formatExportValue = (soc, { key, type, unit, prefix }) => {
+  const value = soc[key];
+  if (isBlankValue(value)) return 'N/A';
+  const text = `${prefix || ''}${value}${unit ? ` ${unit}` : ''}`;
+  return type !== 'string' && (soc._derived || []).includes(key) ? `≈ ${text}` : text;
+};
+
+/**
+ * Mark the best cell(s) of a row
+ * @param {string[]} cells - Display text per SoC
+ * @param {Array} values - Raw values used for ranking
+ * @param {string} compare - 'higher' or 'lower'
+ * @returns {Array} [{ text, winner }]
+ */
+const markRowWinners = (cells, values, compare) => {
+  const extremes = getRowExtremes(values, compare);
+  return cells.map((text, i) => ({ text: `${text}`, winner: !!extremes && extremes.nums[i] === extremes.best }));
+};
+
+/**
+ * Everything the comparison page shows, as plain-text sections: a
+ * summary (index, component scores, category wins) followed by every
+ * rendered category with its fields. With "only differences" on, rows
+ * that are the same for every chip are left out, like in the table.
+ * @returns {Array} [{ name, rows: [{ label, cells: [{ text, winner }] }] }]
+ */
+const buildExportSections = (socs, results) => {
+  const summary = [
+    { label: 'Performance Index', cells: markRowWinners(results.perfIndices, results.perfIndices, 'higher') },
+    { label: 'Scoring Mode', cells: markRowWinners(results.scoreSources.map(source => getScoreSourceLabel(source.index))) },
+    ...SCORE_COMPONENTS.map(({ key, label }) => {
+      const scores = results.componentScores.map(componentScores => componentScores[key]);
+      return { label: `${label} Score`, cells: markRowWinners(scores, scores, 'higher') };
+    }),
+    { label: 'Category Wins', cells: markRowWinners(results.categoryWins, results.categoryWins, 'higher') },
+  ];
+
+  const { onlyDifferences } = state.tableView;
+  const categories = getSchemaCategories()
+    .filter(({ key }) => !state.hiddenCategories.includes(key))
+    .map(({ name, fields }) => ({
+      name,
+      rows: fields.map((field) => {
+        const values = socs.map(soc => (isBlankValue(soc[field.key]) ? 'N/A' : soc[field.key]));
+        if (onlyDifferences && isUniformRow(values)) return null;
+        const label = field.unit ? `${field.label} (${field.unit})` : field.label;
+        return { label, cells: markRowWinners(socs.map(soc => formatExportValue(soc, field)), values, field.compare) };
+      }).filter(Boolean),
+    }))
+    .filter(({ rows }) => rows.length);
+
+  return [{ name: 'Summary', rows: summary }, ...categories];
+};
+
+/**
+ * Cell text with the winner marker
+ */
+const formatExportCell = ({ text, winner }) => (winner ? `${text} ${WINNER_MARKER}` : text);
+
+/**
+ * Export current comparison table as CSV
+ * One column per compared SoC, one row per rendered field
+ */
+const exportComparisonCSV = (socs, results) => {
+  const rows = [];
+  rows.push(['Metric', ...socs.map(soc => soc.name)]);
+  rows.push(['ID', ...socs.map(soc => soc.id)]);
+
+  buildExportSections(socs, results).forEach(({ name, rows: sectionRows }) => {
+    // Section heading row, then its fields
+    rows.push([name, ...socs.map(() => '')]);
+    sectionRows.forEach(({ label, cells }) => rows.push([label, ...cells.map(formatExportCell)]));
+  });
+  rows.push([`${WINNER_MARKER} = best value`]);
+
+  // Convert to CSV string
+  const csv = rows.map(r => r.map(cell => `"${(`${cell}`).replace(/"/g, '""')}"`).join(',')).join('\n');
+  downloadExport(csv, `${getComparisonFileStem(socs)}.csv`, 'text/csv;charset=utf-8;');
+};
+
+/**
+ * Build the comparison as Markdown tables (one per section)
+ * @returns {string}
+ */
+const buildComparisonMarkdown = (socs, results) => {
+  const escape = text => `${text}`.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const header = `| Specification | ${socs.map(soc => escape(soc.name)).join(' | ')} |`;
+  const divider = `| --- | ${socs.map(() => '---:').join(' | ')} |`;
+
+  const sections = buildExportSections(socs, results).map(({ name, rows }) => [
+    `## ${name}`,
+    '',
+    header,
+    divider,
+    ...rows.map(({ label, cells }) => `| ${escape(label)} | ${cells.map(cell => escape(cell.winner ? `**${cell.text}** ${WINNER_MARKER}` : cell.text)).join(' | ')} |`),
+  ].join('\n'));
+
+  return [
+    `# ${socs.map(soc => soc.name).join(' vs ')}`,
+    '',
+    ...sections.flatMap(section => [section, '']),
+    `_${WINNER_MARKER} best value. Generated ${new Date().toISOString().slice(0, 10)}._`,
+    '',
+  ].join('\n');
+};
+
+/**
+ * Export current comparison as a Markdown document
+ */
+const exportComparisonMarkdown = (socs, results) => {
+  downloadExport(buildComparisonMarkdown(socs, results), `${getComparisonFileStem(socs)}.md`, 'text/markdown;charset=utf-8;');
+};
+
+/**
+ * PNG snapshots of the charts on screen, when they belong to this comparison
+ * @returns {Array} [{ title, src }]
+ */
+const getComparisonChartImages = (socs) => {
+  const active = (state.activeComparison || []).map(soc => soc.id).join();
+  if (active !== socs.map(soc => soc.id).join()) return [];
+
+  return getComparisonCharts()
+    .filter(({ chart }) => typeof chart.toBase64Image === 'function')
+    .map(({ title, chart }) => {
+      try {
+        return { title, src: chart.toBase64Image() };
+      } catch (e) {
+        console.warn('Failed to snapshot chart', title, e);
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+// Stylesheet of the standalone report; the print rules keep tables and
+// charts from splitting across pages
+const REPORT_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; margin: 2rem auto; max-width: 960px; padding: 0 1rem; }
+  h1 { font-size: 1.75rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.2rem; margin: 2rem 0 0.5rem; color: #6b21a8; border-bottom: 2px solid #e9d5ff; padding-bottom: 0.25rem; }
+  .meta { color: #6b7280; font-size: 0.85rem; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { padding: 0.4rem 0.6rem; border-bottom: 1px solid #e5e7eb; text-align: center; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #f9fafb; }
+  td.winner { background: #dcfce7; color: #14532d; font-weight: 700; }
+  figure { margin: 1.5rem 0; text-align: center; }
+  figure img { max-width: 100%; }
+  figcaption { color: #6b7280; font-size: 0.85rem; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 10pt; }
+    h2 { break-after: avoid; }
+    table, figure { break-inside: avoid; }
+    td.winner { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    @page { margin: 1.5cm; }
+  }`;
+
+/**
+ * Build a standalone HTML report with the tables and embedded chart images
+ * @returns {string} Complete HTML document
+ */
+const buildComparisonReportHTML = (socs, results) => {
+  const title = socs.map(soc => soc.name).join(' vs ');
+  const header = `<tr><th>Specification</th>${socs.map(soc => `<th>${escapeHtml(soc.name)}</th>`).join('')}</tr>`;
+
+  const tables = buildExportSections(socs, results).map(({ name, rows }) => `
+    <h2>${escapeHtml(name)}</h2>
+    <table>
+      <thead>${header}</thead>
+      <tbody>
+        ${rows.map(({ label, cells }) => `<tr><td>${escapeHtml(label)}</td>${cells.map(cell => `<td${cell.winner ? ' class="winner"' : ''}>${escapeHtml(formatExportCell(cell))}</td>`).join('')}</tr>`).join('\n        ')}
+      </tbody>
+    </table>`).join('');
+
+  const figures = getComparisonChartImages(socs).map(({ title: caption, src }) => `
+    <figure><img src="${src}" alt="${escapeHtml(caption)}"><figcaption>${escapeHtml(caption)}</figcaption></figure>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">Generated ${new Date().toLocaleString()} · ${WINNER_MARKER} / green = best value</div>
+  ${tables}
+  ${figures}
+</body>
+</html>
+`;
+};
+
+/**
+ * Export current comparison as a standalone HTML report
+ */
+const exportComparisonHTML = (socs, results) => {
+  downloadExport(buildComparisonReportHTML(socs, results), `${getComparisonFileStem(socs)}.html`, 'text/html;charset=utf-8;');
+};
+
+/**
+ * Export current comparison as JSON
+ */
+const exportComparisonJSON = (socs, results) => {
+  const payload = {
+    ids: socs.map(soc => soc.id),
+    socs,
+    results,
+    weights: state.weights,
+    weightPreset: state.weightPreset,
+    scoringMode: state.scoringMode,
+    exportedAt: new Date().toISOString(),
+  };
+  const jsonStr = JSON.stringify(payload, null, 2);
+  downloadExport(jsonStr, `${getComparisonFileStem(socs)}.json`, 'application/json;charset=utf-8;');
+};
+
+// Colors of exported chart images
+const CHART_EXPORT_THEMES = {
+  light: { background: '#ffffff', text: '#1f2937', muted: '#6b7280', grid: '#e5e7eb' },
+  dark: { background: '#111827', text: '#f3f4f6', muted: '#9ca3af', grid: '#374151' },
+};
+
+// Height (CSS px) of the title/chip-name header baked into chart images
+const CHART_IMAGE_HEADER = 72;
+
+/**
+ * Charts of the comparison on screen, in page order
+ * @returns {Array} [{ id, title, chart }] (only charts that exist)
+ */
+const getComparisonCharts = () => {
+  const charts = [{ id: 'radarChartMain', title: 'Performance Radar', chart: state.charts.main }];
+  getSchemaCategories()
+    .filter(({ key }) => !state.hiddenCategories.includes(key))
+    .forEach(({ name, chartId }) => charts.push({ id: chartId, title: `${name} Comparison`, chart: state.charts.categories[chartId] }));
+  return charts.filter(({ chart }) => chart);
+};
+
+/**
+ * Copy chart options with theme colors on text, ticks and grid lines,
+ * the legend forced on and animation off for a one-shot render
+ * @param {Object} options - Chart.js options of the on-screen chart
+ * @param {string} theme - 'light' or 'dark'
  */
-const destroyCategoryCharts = () => {
-  Object.keys(state.charts.categories).forEach((id) => {
-    try {
-      const chart = state.charts.categories[id];
-      if (chart && typeof chart.destroy === 'function') chart.destroy();
-    } catch (e) {
-      console.warn('Failed to destroy category chart', id, e);
+const themeChartOptions = (options, theme) => {
+  const colors = CHART_EXPORT_THEMES[theme];
+  const plugins = options.plugins || {};
+  const legend = plugins.legend || {};
+
+  const scales = {};
+  Object.entries(options.scales || {}).forEach(([id, scale]) => {
+    scales[id] = {
+      ...scale,
+      ticks: { ...(scale.ticks || {}), color: colors.muted, backdropColor: colors.background },
+      grid: { ...(scale.grid || {}), color: colors.grid },
+      title: { ...(scale.title || {}), color: colors.text },
+    };
+    // Radar axes
+    if (id === 'r') {
+      scales[id].pointLabels = { ...(scale.pointLabels || {}), color: colors.text };
+      scales[id].angleLines = { ...(scale.angleLines || {}), color: colors.grid };
     }
-    delete state.charts.categories[id];
   });
+
+  return {
+    ...options,
+    responsive: false,
+    maintainAspectRatio: false,
+    animation: false,
+    devicePixelRatio: 2,
+    color: colors.text,
+    scales,
+    plugins: {
+      ...plugins,
+      legend: { ...legend, display: true, labels: { ...(legend.labels || {}), color: colors.text } },
+      tooltip: { enabled: false },
+    },
+  };
 };
 
 /**
- * Destroy main/radar charts
+ * Render a chart to a standalone canvas with the title, compared chip
+ * names and legend baked in
+ * @param {Object} chart - On-screen Chart.js instance
+ * @param {string} title - Heading drawn above the chart
+ * @param {Array} socs - Compared SoCs (named in slot colors)
+ * @param {string} theme - 'light' or 'dark'
+ * @returns {HTMLCanvasElement}
  */
-const destroyMainCharts = () => {
-  if (state.charts.main && typeof state.charts.main.destroy === 'function') {
-    state.charts.main.destroy();
-    state.charts.main = null;
+const renderChartImage = (chart, title, socs, theme) => {
+  const colors = CHART_EXPORT_THEMES[theme];
+  const width = Math.max(chart.width || 0, 800);
+  const height = Math.max(chart.height || 0, 400);
+
+  // Re-draw the chart off screen in the export theme
+  const source = document.createElement('canvas');
+  source.width = width;
+  source.height = height;
+  const { data, options } = chart.config;
+  const copy = new Chart(source, {
+    type: chart.config.type,
+    data: {
+      ...data,
+      labels: data.labels ? [...data.labels] : data.labels,
+      datasets: data.datasets.map(dataset => ({ ...dataset, data: [...dataset.data] })),
+    },
+    options: themeChartOptions(options || {}, theme),
+  });
+
+  const image = document.createElement('canvas');
+  image.width = width * 2;
+  image.height = (height + CHART_IMAGE_HEADER) * 2;
+  const ctx = image.getContext('2d');
+  if (!ctx) {
+    copy.destroy();
+    throw new Error('Canvas rendering is not supported');
   }
-};
+  ctx.scale(2, 2);
+  ctx.fillStyle = colors.background;
+  ctx.fillRect(0, 0, width, height + CHART_IMAGE_HEADER);
+
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = colors.text;
+  ctx.font = 'bold 20px sans-serif';
+  ctx.fillText(title, 16, 24);
+
+  // Chip names with their slot colors
+  let x = 16;
+  ctx.font = '14px sans-serif';
+  socs.forEach((soc, i) => {
+    ctx.fillStyle = getSlotColor(i);
+    ctx.beginPath();
+    ctx.arc(x + 5, 54, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = colors.muted;
+    ctx.fillText(soc.name, x + 16, 54);
+    x += 16 + ctx.measureText(soc.name).width + 20;
+  });
 
-// =========================
-// Performance Breakdown
-// =========================
+  ctx.drawImage(source, 0, CHART_IMAGE_HEADER, width, height);
+  copy.destroy();
+  return image;
+};
 
 /**
- * Return component scores used for radar chart and breakdown
- * Values are normalized 0-100
- * @param {Object} soc
- * @returns {Object} { cpu, gpu, memory, efficiency, cache }
+ * Stack chart images vertically into one canvas
+ * @param {HTMLCanvasElement[]} images
+ * @param {string} theme - Background for the gaps
+ * @returns {HTMLCanvasElement}
  */
-const getComponentScores = (soc) => {
-  // CPU: combine cores, frequency, threads (scale to 100)
-  const cpu = Math.min(100, (
-    (soc.numCores / 12) * 40 +
-    (soc.frequency / 4.0) * 40 +
-    (soc.numThreads / 16) * 20
-  ));
-
-  // GPU: cores + clock
-  const gpu = Math.min(100, (
-    (soc.gpuCores / 32) * 60 +
-    (soc.gpuClock / 1000) * 40
-  ));
-
-  // Memory: maxMemorySize (GB) and channels
-  const memory = Math.min(100, (
-    (soc.maxMemorySize / 24) * 50 +
-    (soc.memoryChannels / 8) * 50
-  ));
-
-  // Efficiency: smaller fabProcess -> higher score
-  const efficiency = Math.max(0, 100 - (soc.fabProcess / 10) * 10);
-
-  // Cache: L2 + L3
-  const cache = Math.min(100, (
-    (soc.l2Cache / 16) * 50 +
-    (soc.l3Cache / 64) * 50
-  ));
+const stackChartImages = (images, theme) => {
+  const gap = 32;
+  const sheet = document.createElement('canvas');
+  sheet.width = Math.max(...images.map(image => image.width));
+  sheet.height = images.reduce((sum, image) => sum + image.height, 0) + gap * (images.length - 1);
+
+  const ctx = sheet.getContext('2d');
+  ctx.fillStyle = CHART_EXPORT_THEMES[theme].background;
+  ctx.fillRect(0, 0, sheet.width, sheet.height);
+  let y = 0;
+  images.forEach((image) => {
+    ctx.drawImage(image, 0, y);
+    y += image.height + gap;
+  });
+  return sheet;
+};
 
-  return {
-    cpu: Math.round(cpu * 10) / 10,
-    gpu: Math.round(gpu * 10) / 10,
-    memory: Math.round(memory * 10) / 10,
-    efficiency: Math.round(efficiency * 10) / 10,
-    cache: Math.round(cache * 10) / 10,
-  };
+/**
+ * Download a canvas as a PNG file
+ */
+const downloadCanvasPNG = (canvas, filename) => {
+  canvas.toBlob((blob) => {
+    if (blob) downloadExport(blob, filename, 'image/png');
+  }, 'image/png');
 };
 
-// =========================
-// Radar Chart (Performance)
-// =========================
+/**
+ * Download one chart of the active comparison as PNG
+ * @param {string} chartId - Canvas id of the chart
+ * @param {string} theme - 'light' or 'dark'
+ */
+const exportChartPNG = (chartId, theme = 'light') => {
+  const socs = state.activeComparison || [];
+  const entry = getComparisonCharts().find(({ id }) => id === chartId);
+  if (!entry || socs.length < 2) return showErrorMessage('Run a comparison before exporting charts');
+
+  try {
+    const image = renderChartImage(entry.chart, entry.title, socs, theme);
+    downloadCanvasPNG(image, `${getComparisonFileStem(socs)}_${slugify(entry.title)}_${theme}.png`);
+  } catch (e) {
+    console.error('Chart export failed', e);
+    showErrorMessage('Could not export the chart image');
+  }
+};
 
 /**
- * Create a radar chart comparing two SoCs across component scores
+ * Download every chart of the active comparison as a single PNG
+ * @param {string} theme - 'light' or 'dark'
  */
-const createPerformanceRadar = (canvasId, soc1, soc2) => {
-  const canvas = document.getElementById(canvasId);
-  if (!canvas) return;
+const exportAllChartsPNG = (theme = 'light') => {
+  const socs = state.activeComparison || [];
+  const charts = getComparisonCharts();
+  if (!charts.length || socs.length < 2) return showErrorMessage('Run a comparison before exporting charts');
 
-  // Destroy previous
-  if (state.charts.main) {
-    destroyMainCharts();
+  try {
+    const images = charts.map(({ chart, title }) => renderChartImage(chart, title, socs, theme));
+    downloadCanvasPNG(stackChartImages(images, theme), `${getComparisonFileStem(socs)}_charts_${theme}.png`);
+  } catch (e) {
+    console.error('Chart export failed', e);
+    showErrorMessage('Could not export the chart images');
   }
+};
 
-  const labels = ['CPU', 'GPU', 'Memory', 'Efficiency', 'Cache'];
-  const s1 = getComponentScores(soc1);
-  const s2 = getComponentScores(soc2);
+/**
+ * Light/dark PNG download buttons for a chart heading (none in the widget view)
+ * @param {string} chartId - Canvas id of the chart
+ * @returns {string} HTML
+ */
+const getChartDownloadButtons = (chartId) => (state.embedMode ? '' : ['light', 'dark'].map(theme => `
+  <button type="button" data-chart-download="${chartId}" data-theme="${theme}" class="px-2 py-1 text-xs font-semibold rounded-md border border-gray-200 text-gray-600 hover:border-purple-400 hover:text-purple-700 transition" title="Download as PNG (${theme})">PNG${theme === 'dark' ? ' ☾' : ''}</button>`).join(''));
 
-  state.charts.main = new Chart(canvas, {
-    type: 'radar',
-    data: {
-      labels,
-      datasets: [
-        {
-          label: soc1.name,
-          data: [s1.cpu, s1.gpu, s1.memory, s1.efficiency, s1.cache],
-          fill: true,
-          backgroundColor: 'rgba(147,51,234,0.12)',
-          borderColor: 'rgb(147,51,234)',
-          pointRadius: 4,
-        },
-        {
-          label: soc2.name,
-          data: [s2.cpu, s2.gpu, s2.memory, s2.efficiency, s2.cache],
-          fill: true,
-          backgroundColor: 'rgba(236,72,153,0.12)',
-          borderColor: 'rgb(236,72,153)',
-          pointRadius: 4,
-        },
-      ],
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      scales: {
-        r: {
-          suggestedMin: 0,
-          suggestedMax: 100,
-          ticks: { stepSize: 20 },
-        },
-      },
-      plugins: {
-        legend: { position: 'top' },
-        tooltip: { enabled: true },
-      },
-    },
+/**
+ * Wire chart download buttons rendered inside a container
+ */
+const bindChartDownloadButtons = (container) => {
+  container.querySelectorAll('[data-chart-download]').forEach((btn) => {
+    btn.addEventListener('click', () => exportChartPNG(btn.dataset.chartDownload, btn.dataset.theme));
   });
 };
 
 /**
- * Wrapper to display performance radar in UI area
+ * Open the HTML report in a new window and print it (Save as PDF in the
+ * print dialog)
  */
-const displayPerformanceRadar = (soc1, soc2) => {
-  const radarContainer = document.getElementById('performanceRadar');
-  if (!radarContainer) return;
+const printComparisonReport = (socs, results) => {
+  const win = window.open('', '_blank');
+  if (!win) return showErrorMessage('Allow pop-ups to print the comparison report');
+
+  win.document.open();
+  win.document.write(buildComparisonReportHTML(socs, results));
+  win.document.close();
+  // Give embedded chart images a moment to decode before printing
+  setTimeout(() => {
+    win.focus();
+    win.print();
+  }, 250);
+};
 
-  radarContainer.innerHTML = `
-    <div class="p-6 bg-white rounded-2xl shadow-md">
-      <h4 class="text-lg font-bold mb-4">Performance Radar</h4>
-      <div style="height:360px">
-        <canvas id="radarChartMain"></canvas>
-      </div>
-    </div>`;
-  
-  setTimeout(() => createPerformanceRadar('radarChartMain', soc1, soc2), 50);
+/**
+ * Generic file download helper
+ */
+const downloadExport = (content, filename, mime) => {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 };
 
 // =========================
-// Persistence & Utilities
+// Comparison Import
 // =========================
 
 /**
- * Save last comparison indices to localStorage
+ * Read an exported comparison. Accepts the multi-slot format
+ * ({ ids, socs, weights, ... }) and the original two-slot format
+ * ({ soc1, soc2, results, exportedAt }).
+ * @param {Object} payload - Parsed JSON
+ * @returns {Object} { socs, weights, weightPreset, scoringMode, exportedAt }
+ * @throws {Error} If the file holds no comparison
  */
-const saveLastComparison = (idx1, idx2) => {
-  try {
-    const payload = { idx1, idx2, timestamp: Date.now() };
-    localStorage.setItem(CONFIG.LAST_COMPARISON_KEY, JSON.stringify(payload));
-  } catch (e) {
-    console.warn('Failed to save last comparison', e);
-  }
+const parseComparisonExport = (payload) => {
+  if (!payload || typeof payload !== 'object') throw new Error('Not a comparison export');
+
+  let socs = Array.isArray(payload.socs) ? payload.socs : [payload.soc1, payload.soc2, payload.soc3, payload.soc4];
+  socs = socs.filter(soc => soc && typeof soc === 'object' && (soc.id || soc.name));
+  if (socs.length < 2) throw new Error('The file does not contain a comparison of two or more processors');
+
+  return {
+    socs: socs.slice(0, CONFIG.MAX_COMPARISON_SLOTS).map(normalizeChipData),
+    weights: payload.weights || null,
+    weightPreset: payload.weightPreset || '',
+    scoringMode: payload.scoringMode || null,
+    exportedAt: payload.exportedAt || null,
+  };
 };
 
 /**
- * Restore last comparison if it exists
+ * Fields whose exported value differs from the current database
+ * @param {Object} snapshot - SoC as exported
+ * @param {Object} current - Same SoC from the loaded data
+ * @returns {Array} [{ key, label, unit, snapshot, current }]
  */
-const restoreLastComparison = () => {
-  try {
-    const raw = localStorage.getItem(CONFIG.LAST_COMPARISON_KEY);
-    if (!raw) return;
-    const { idx1, idx2 } = JSON.parse(raw);
-    const sel1 = document.getElementById('soc1');
-    const sel2 = document.getElementById('soc2');
-    if (sel1 && sel2 && state.filteredSocs[idx1] && state.filteredSocs[idx2]) {
-      sel1.value = idx1;
-      sel2.value = idx2;
-      // Optionally auto-run comparison - comment out if undesired
-      // executeComparison();
-    }
-  } catch (e) {
-    console.warn('Failed to restore last comparison', e);
+const diffSocSnapshot = (snapshot, current) => FIELD_SCHEMA
+  .filter(field => !field.computed && field.key !== 'id')
+  .filter(({ key }) => {
+    const a = snapshot[key];
+    const b = current[key];
+    if (isBlankValue(a) && isBlankValue(b)) return false;
+    return isBlankValue(a) || isBlankValue(b) || `${a}` !== `${b}`;
+  })
+  .map(({ key, label, unit }) => ({ key, label, unit, snapshot: snapshot[key], current: current[key] }));
+
+/**
+ * Load an exported comparison: apply its weights for this session, work
+ * out spec drift against the loaded data and show the snapshot values
+ * @param {Object} imported - From parseComparisonExport
+ */
+const applyImportedComparison = (imported) => {
+  const socs = imported.socs.map((soc) => {
+    const id = soc.id || slugify(soc.name);
+    return { ...soc, id };
+  });
+
+  // Like share links, imported weights aren't saved over the user's own
+  if (imported.weights && isValidWeights(withAllComponents(imported.weights))) {
+    state.weights = withAllComponents(imported.weights);
+    state.weightPreset = WEIGHT_PRESETS[imported.weightPreset] ? imported.weightPreset : '';
   }
+  if (imported.scoringMode) state.scoringMode = imported.scoringMode === 'measured' ? 'measured' : 'spec';
+  updateWeightsEditor();
+
+  state.importedComparison = {
+    snapshot: socs,
+    exportedAt: imported.exportedAt,
+    drift: socs.map((soc) => {
+      const current = findSocById(soc.id);
+      return { soc, current: current || null, changes: current ? diffSocSnapshot(soc, current) : [] };
+    }),
+    view: 'snapshot',
+  };
+
+  fillComparisonSlots(socs.map(soc => (findSocById(soc.id) ? soc.id : '')));
+  showImportedView('snapshot');
 };
 
 /**
- * Scroll viewport to results section
+ * Show an imported comparison with its exported (snapshot) values or the
+ * current database values. Current values need every chip to still exist.
+ * @param {string} view - 'snapshot' or 'current'
  */
-const scrollToResults = () => {
-  const el = document.getElementById('result');
-  if (!el) return;
-  el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+const showImportedView = (view) => {
+  const imported = state.importedComparison;
+  if (!imported) return;
+
+  const missing = imported.drift.some(({ current }) => !current);
+  imported.view = view === 'current' && !missing ? 'current' : 'snapshot';
+
+  if (imported.view === 'current') {
+    fillComparisonSlots(imported.drift.map(({ current }) => current.id));
+    executeComparison();
+  } else {
+    renderComparison(imported.snapshot);
+    scrollToResults();
+  }
+  renderImportPanel();
 };
 
 /**
- * Set loading spinner visibility
+ * Import a comparison JSON file chosen by the user
+ * @param {File} file
  */
-const showLoadingSpinner = (show) => {
-  state.isLoading = !!show;
-  const loadingEl = document.getElementById('loading');
-  if (!loadingEl) return;
-  if (show) loadingEl.classList.remove('hidden');
-  else loadingEl.classList.add('hidden');
+const importComparisonFile = async (file) => {
+  if (!file) return;
+  if (!state.socsData.length) {
+    showErrorMessage('Wait for the processor database to load before importing');
+    return;
+  }
+
+  try {
+    applyImportedComparison(parseComparisonExport(JSON.parse(await file.text())));
+  } catch (e) {
+    console.warn('Comparison import failed', e);
+    showErrorMessage(e instanceof SyntaxError ? `${file.name} is not valid JSON` : e.message);
+  }
 };
 
 /**
- * Display an error message in UI (simple)
+ * Forget the imported comparison and hide its panel
  */
-const showErrorMessage = (msg) => {
-  console.error(msg);
-  // Simple toast / banner fallback
-  const errEl = document.getElementById('errorBanner');
-  if (errEl) {
-    errEl.textContent = msg;
-    errEl.classList.remove('hidden');
-    setTimeout(() => errEl.classList.add('hidden'), 6000);
-  } else {
-    alert(msg);
-  }
+const dismissImportedComparison = () => {
+  state.importedComparison = null;
+  renderImportPanel();
 };
 
 /**
- * Validate comparison selections (enable/disable compare button)
+ * Render the imported comparison's drift report and snapshot/current
+ * switch into #importPanel
  */
-const validateComparison = () => {
-  const sel1 = document.getElementById('soc1');
-  const sel2 = document.getElementById('soc2');
-  const btn = document.getElementById('compareBtn');
-  if (!btn) return;
-  const idx1 = sel1 ? sel1.value : null;
-  const idx2 = sel2 ? sel2.value : null;
-  btn.disabled = (!idx1 || !idx2 || idx1 === idx2);
+const renderImportPanel = () => {
+  const container = document.getElementById('importPanel');
+  if (!container) return;
+
+  const imported = state.importedComparison;
+  if (!imported) {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    return;
+  }
+
+  const missing = imported.drift.some(({ current }) => !current);
+  const drifted = imported.drift.filter(({ changes }) => changes.length).length;
+  const exported = imported.exportedAt ? new Date(imported.exportedAt).toLocaleString() : 'an unknown date';
+  const formatValue = (value, unit) => (isBlankValue(value) ? 'N/A' : escapeHtml(`${value}${unit ? ` ${unit}` : ''}`));
+  const viewButton = (view, label, disabled) => `
+    <button type="button" data-import-view="${view}" ${disabled ? 'disabled' : ''}
+      class="px-3 py-1.5 text-sm font-semibold rounded-lg transition ${imported.view === view ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'} ${disabled ? 'opacity-50 cursor-not-allowed' : ''}">${label}</button>`;
+
+  const chips = imported.drift.map(({ soc, current, changes }) => {
+    let body = '<div class="text-sm text-green-700">No spec changes since export</div>';
+    if (!current) {
+      body = '<div class="text-sm text-red-600">Not in the current database - only the snapshot is available</div>';
+    } else if (changes.length) {
+      body = `
+        <table class="w-full text-sm">
+          <thead><tr class="text-left text-gray-500"><th class="py-1 pr-3">Field</th><th class="py-1 pr-3">Snapshot</th><th class="py-1">Current</th></tr></thead>
+          <tbody>
+            ${changes.map(({ label, unit, snapshot, current: now }) => `
+              <tr class="border-t border-gray-100">
+                <td class="py-1 pr-3 text-gray-600">${label}</td>
+                <td class="py-1 pr-3">${formatValue(snapshot, unit)}</td>
+                <td class="py-1 font-semibold text-amber-700">${formatValue(now, unit)}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>`;
+    }
+    return `
+      <div class="p-3 rounded-lg border border-gray-200">
+        <div class="font-semibold text-gray-800 mb-1">${escapeHtml(soc.name)}${changes.length ? ` <span class="text-xs font-normal text-amber-700">${changes.length} changed</span>` : ''}</div>
+        ${body}
+      </div>`;
+  }).join('');
+
+  container.classList.remove('hidden');
+  container.innerHTML = `
+    <div class="p-6 bg-white rounded-2xl shadow-md">
+      <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <h4 class="text-lg font-bold text-gray-800">Imported Comparison</h4>
+          <div class="text-sm text-gray-500">Exported ${escapeHtml(exported)} · ${drifted ? `specs changed for ${drifted} of ${imported.drift.length} chips` : 'no spec drift'}</div>
+        </div>
+        <div class="flex items-center gap-2">
+          ${viewButton('snapshot', 'Snapshot values')}
+          ${viewButton('current', 'Current values', missing)}
+          <button type="button" id="dismissImportBtn" class="px-2 text-gray-400 hover:text-gray-700 transition" title="Close">✕</button>
+        </div>
+      </div>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-3">${chips}</div>
+    </div>`;
+
+  container.querySelectorAll('[data-import-view]').forEach((btn) => {
+    btn.addEventListener('click', () => showImportedView(btn.dataset.importView));
+  });
+  document.getElementById('dismissImportBtn').addEventListener('click', dismissImportedComparison);
 };
 
 // =========================
-// Export / Download Helpers
+// Offline Support
 // =========================
 
 /**
- * Export current comparison table as CSV
- * Builds CSV by reading the comparison table DOM
+ * Register the service worker (sw.js) that serves the app shell and data
+ * sources offline. Only available over http(s).
  */
-const exportComparisonCSV = (soc1, soc2, results) => {
-  // We will export some key fields and the performance indices
-  const rows = [];
-  rows.push(['Metric', soc1.name, soc2.name]);
+const registerServiceWorker = async () => {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+  try {
+    state.serviceWorker = await navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL);
+    precacheForOffline();
+  } catch (error) {
+    console.warn('Service worker registration failed:', error.message);
+  }
+};
 
-  // Add summarized metrics
-  rows.push(['Performance Index', results.perfIndex1, results.perfIndex2]);
-  rows.push(['Category Wins', results.categoryWins1, results.categoryWins2]);
+/**
+ * Ask the service worker to cache the scripts and stylesheets this page
+ * uses (e.g. Chart.js and Tailwind from a CDN) and the enabled data sources
+ */
+const precacheForOffline = async () => {
+  if (!state.serviceWorker) return;
 
-  // Add breakdown metrics
-  Object.entries(results.metrics).forEach(([key, data]) => {
-    const label = data.label || key;
-    rows.push([label, data.a !== undefined ? data.a : 'N/A', data.b !== undefined ? data.b : 'N/A']);
-  });
+  const assets = Array.from(document.querySelectorAll('script[src], link[rel="stylesheet"][href]'))
+    .map(el => el.src || el.href);
+  const sources = state.dataSources.filter(source => source.enabled).map(source => source.url);
 
-  // Convert to CSV string
-  const csv = rows.map(r => r.map(cell => `"${(`${cell}`).replace(/"/g, '""')}"`).join(',')).join('\n');
-  downloadExport(csv, `${soc1.name}_vs_${soc2.name}.csv`, 'text/csv;charset=utf-8;');
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.active) registration.active.postMessage({ type: 'CACHE_URLS', urls: [...assets, ...sources] });
+  } catch (error) {
+    console.warn('Offline precache request failed:', error.message);
+  }
 };
 
 /**
- * Export current comparison as JSON
+ * Delete the service worker's caches (see CACHE_PREFIX in sw.js)
  */
-const exportComparisonJSON = (soc1, soc2, results) => {
-  const payload = {
-    soc1,
-    soc2,
-    results,
-    exportedAt: new Date().toISOString(),
-  };
-  const jsonStr = JSON.stringify(payload, null, 2);
-  downloadExport(jsonStr, `${soc1.name}_vs_${soc2.name}.json`, 'application/json;charset=utf-8;');
+const purgeServiceWorkerCaches = async () => {
+  if (typeof caches === 'undefined') return;
+  try {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(key => key.startsWith(CONFIG.SW_CACHE_PREFIX)).map(key => caches.delete(key)));
+  } catch (error) {
+    console.warn('Failed to clear service worker caches:', error.message);
+  }
 };
 
 /**
- * Generic file download helper
+ * Show or hide the offline badge (#offlineBadge, created if the page has none)
  */
-const downloadExport = (content, filename, mime) => {
-  const blob = new Blob([content], { type: mime });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  setTimeout(() => URL.revokeObjectURL(url), 1000);
+const updateOfflineBadge = () => {
+  let badge = document.getElementById('offlineBadge');
+  if (!badge) {
+    if (!state.isOffline) return;
+    badge = document.createElement('div');
+    badge.id = 'offlineBadge';
+    badge.className = 'fixed bottom-4 left-4 z-50 px-4 py-2 rounded-full bg-gray-800 text-white text-sm font-semibold shadow-lg';
+    document.body.appendChild(badge);
+  }
+
+  badge.textContent = `📴 Offline - showing saved specs${state.refreshQueued ? ' (refresh queued)' : ''}`;
+  badge.classList.toggle('hidden', !state.isOffline);
+};
+
+/**
+ * Going offline queues a data refresh for when the connection returns
+ */
+const handleOffline = () => {
+  state.isOffline = true;
+  state.refreshQueued = true;
+  updateOfflineBadge();
+};
+
+/**
+ * Back online: run the queued refresh (retry failed sources, re-check the rest)
+ */
+const handleOnline = async () => {
+  state.isOffline = false;
+  updateOfflineBadge();
+  if (!state.refreshQueued) return;
+
+  state.refreshQueued = false;
+  const failed = state.dataSources.some(source => source.enabled
+    && (state.sourceStatus[source.url] || {}).status === 'failed');
+
+  if (failed || !state.socsData.length) {
+    await loadSoCs();
+  } else {
+    await revalidateSources(true);
+  }
 };
 
 // =========================
@@ -1005,15 +6022,16 @@ const downloadExport = (content, filename, mime) => {
 /**
  * Clear cached SoC data (and reload)
  */
-const handleClearCache = () => {
-  clearCache();
+const handleClearCache = async () => {
+  await clearCache();
+  state.loadedSources = [];
+  state.sourceStatus = {};
   state.socsData = [];
   state.filteredSocs = [];
   // simple UI reset
-  const sel1 = document.getElementById('soc1');
-  const sel2 = document.getElementById('soc2');
-  if (sel1) sel1.innerHTML = '<option value="">Select a processor...</option>';
-  if (sel2) sel2.innerHTML = '<option value="">Select a processor...</option>';
+  getSlotSelects().forEach(select => {
+    select.innerHTML = '<option value="">Select a processor...</option>';
+  });
   loadSoCs();
 };
 
@@ -1050,10 +6068,15 @@ document.addEventListener('DOMContentLoaded', () => {
   const compareBtn = document.getElementById('compareBtn');
   if (compareBtn) compareBtn.addEventListener('click', executeComparison);
 
-  const sel1 = document.getElementById('soc1');
-  const sel2 = document.getElementById('soc2');
-  if (sel1) sel1.addEventListener('change', validateComparison);
-  if (sel2) sel2.addEventListener('change', validateComparison);
+  // Comparison slots: rendered into #socSlots, or static soc1/soc2 markup
+  if (document.getElementById('socSlots')) {
+    renderComparisonSlots();
+  } else {
+    getSlotSelects().forEach(select => select.addEventListener('change', handleSlotChange));
+  }
+
+  const addSlotBtn = document.getElementById('addSlotBtn');
+  if (addSlotBtn) addSlotBtn.addEventListener('click', addComparisonSlot);
 
   const searchInput = document.getElementById('searchInput');
   if (searchInput) {
@@ -1070,30 +6093,71 @@ document.addEventListener('DOMContentLoaded', () => {
   const themeToggle = document.getElementById('themeToggle');
   if (themeToggle) themeToggle.addEventListener('click', toggleDarkMode);
 
-  const exportCsvBtn = document.getElementById('exportCsvBtn');
-  const exportJsonBtn = document.getElementById('exportJsonBtn');
-  if (exportCsvBtn) {
-    exportCsvBtn.addEventListener('click', () => {
-      const sel1Idx = parseInt(document.getElementById('soc1').value, 10);
-      const sel2Idx = parseInt(document.getElementById('soc2').value, 10);
-      if (isNaN(sel1Idx) || isNaN(sel2Idx)) return showErrorMessage('Select two processors to export comparison');
-      const soc1 = state.filteredSocs[sel1Idx], soc2 = state.filteredSocs[sel2Idx];
-      const results = calculateDetailedComparison(soc1, soc2);
-      exportComparisonCSV(soc1, soc2, results);
+  const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+  if (diagnosticsBtn) diagnosticsBtn.addEventListener('click', toggleDiagnosticsPanel);
+
+  const sourcesBtn = document.getElementById('sourcesBtn');
+  if (sourcesBtn) sourcesBtn.addEventListener('click', toggleSourcesPanel);
+
+  const timelineBtn = document.getElementById('timelineBtn');
+  if (timelineBtn) timelineBtn.addEventListener('click', toggleTimeline);
+
+  const copyLinkBtn = document.getElementById('copyLinkBtn');
+  if (copyLinkBtn) copyLinkBtn.addEventListener('click', copyShareLink);
+
+  const importComparisonInput = document.getElementById('importComparisonInput');
+  if (importComparisonInput) {
+    importComparisonInput.addEventListener('change', () => {
+      importComparisonFile(importComparisonInput.files[0]);
+      importComparisonInput.value = '';
     });
   }
-  if (exportJsonBtn) {
-    exportJsonBtn.addEventListener('click', () => {
-      const sel1Idx = parseInt(document.getElementById('soc1').value, 10);
-      const sel2Idx = parseInt(document.getElementById('soc2').value, 10);
-      if (isNaN(sel1Idx) || isNaN(sel2Idx)) return showErrorMessage('Select two processors to export comparison');
-      const soc1 = state.filteredSocs[sel1Idx], soc2 = state.filteredSocs[sel2Idx];
-      const results = calculateDetailedComparison(soc1, soc2);
-      exportComparisonJSON(soc1, soc2, results);
-    });
+  const importComparisonBtn = document.getElementById('importComparisonBtn');
+  if (importComparisonBtn && importComparisonInput) {
+    importComparisonBtn.addEventListener('click', () => importComparisonInput.click());
   }
 
-  // Restore theme and data
+  const copyEmbedBtn = document.getElementById('copyEmbedBtn');
+  if (copyEmbedBtn) copyEmbedBtn.addEventListener('click', copyEmbedSnippet);
+
+  const exportChartsBtn = document.getElementById('exportChartsBtn');
+  if (exportChartsBtn) exportChartsBtn.addEventListener('click', () => exportAllChartsPNG('light'));
+  const exportChartsDarkBtn = document.getElementById('exportChartsDarkBtn');
+  if (exportChartsDarkBtn) exportChartsDarkBtn.addEventListener('click', () => exportAllChartsPNG('dark'));
+
+  const exporters = {
+    exportCsvBtn: exportComparisonCSV,
+    exportJsonBtn: exportComparisonJSON,
+    exportMarkdownBtn: exportComparisonMarkdown,
+    exportHtmlBtn: exportComparisonHTML,
+    printReportBtn: printComparisonReport,
+  };
+  Object.entries(exporters).forEach(([id, exporter]) => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    btn.addEventListener('click', () => {
+      const socs = getSelectedSocs();
+      if (!isValidSelection(socs.map(soc => soc.id))) {
+        return showErrorMessage('Select at least two different processors to export comparison');
+      }
+      const results = calculateDetailedComparison(socs);
+      exporter(socs, results);
+    });
+  });
+
+  // Restore theme, scoring weights and data
   restoreTheme();
+  applyEmbedMode();
+  restoreWeights();
+  restoreScoringMode();
+  renderWeightsEditor();
+  renderCategoryFilters();
+  setComparisonMode(state.comparisonMode);
   loadSoCs();
+
+  // Offline support
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  if (navigator.onLine === false) handleOffline();
+  registerServiceWorker();
 });
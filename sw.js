@@ -0,0 +1,167 @@
+// ============================================================================
+// SoC Comparator Pro - Service Worker
+// Precaches the app shell and data sources so comparisons work offline
+// ============================================================================
+
+// Must match CONFIG.SW_CACHE_PREFIX in Main.js (used to purge these caches)
+const CACHE_PREFIX = 'soc-comparator-';
+const CACHE_VERSION = 1; // Bump to drop caches written by an older worker
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-v${CACHE_VERSION}`;
+
+// Same-origin shell files; the page reports its CDN scripts/styles at runtime
+const SHELL_URLS = ['./', './Main.js'];
+const MANIFEST_URL = './datasets.json';
+
+// Serve cached data if the network hasn't answered within this time (ms)
+const NETWORK_TIMEOUT = 4000;
+
+// =========================
+// Cache Helpers
+// =========================
+
+/**
+ * Check whether a request is for a JSON data file (manifest or source)
+ * @param {URL} url
+ * @returns {boolean}
+ */
+const isDataUrl = (url) => url.pathname.endsWith('.json');
+
+/**
+ * Add URLs to a cache one by one, so a single missing file doesn't abort
+ * the rest. Cross-origin shell assets (CDN scripts) are stored as opaque
+ * responses, which is how the page requests them anyway.
+ * @param {string} cacheName
+ * @param {string[]} urls
+ * @param {boolean} onlyMissing - Skip URLs that are already cached
+ */
+const cacheUrls = async (cacheName, urls, onlyMissing = false) => {
+  const cache = await caches.open(cacheName);
+  await Promise.all(urls.map(async (href) => {
+    try {
+      const url = new URL(href, self.registration.scope);
+      if (onlyMissing && await cache.match(url.href)) return;
+      const crossOriginAsset = url.origin !== self.location.origin && !isDataUrl(url);
+      const response = await fetch(new Request(url.href, crossOriginAsset ? { mode: 'no-cors' } : {}));
+      if (response.ok || response.type === 'opaque') await cache.put(url.href, response);
+    } catch (error) {
+      console.warn(`[sw] Could not precache ${href}:`, error.message);
+    }
+  }));
+};
+
+/**
+ * Precache the dataset manifest and the data files it lists
+ */
+const precacheManifestSources = async () => {
+  try {
+    const manifestUrl = new URL(MANIFEST_URL, self.registration.scope).href;
+    const manifest = await (await fetch(manifestUrl)).json();
+    const datasets = Array.isArray(manifest) ? manifest : manifest.datasets || [];
+    const urls = datasets.filter(entry => entry && entry.url).map(entry => new URL(entry.url, manifestUrl).href);
+    await cacheUrls(DATA_CACHE, [manifestUrl, ...urls]);
+  } catch (error) {
+    console.warn('[sw] Could not precache manifest sources:', error.message);
+  }
+};
+
+/**
+ * Reject after a delay
+ * @returns {Promise}
+ */
+const timeout = (ms) => new Promise((_, reject) => setTimeout(() => reject(new Error('Network timeout')), ms));
+
+// =========================
+// Fetch Strategies
+// =========================
+
+/**
+ * Data files: network first so specs stay current, falling back to the
+ * cached copy offline or when the network is too slow. Conditional
+ * requests (304) pass through untouched.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+const networkFirst = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(request.url, response.clone());
+    return response;
+  });
+
+  try {
+    return await Promise.race([network, timeout(NETWORK_TIMEOUT)]);
+  } catch (error) {
+    const cached = await cache.match(request.url);
+    // Nothing cached: wait for the real network outcome
+    return cached || network;
+  }
+};
+
+/**
+ * App shell: serve from cache immediately and refresh it in the background
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+const staleWhileRevalidate = async (event) => {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  const network = fetch(request).then((response) => {
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+};
+
+// =========================
+// Lifecycle & Events
+// =========================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([cacheUrls(SHELL_CACHE, SHELL_URLS), precacheManifestSources()])
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches from older worker versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== DATA_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (!url.protocol.startsWith('http')) return;
+
+  if (isDataUrl(url)) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin || request.destination === 'script' || request.destination === 'style') {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+// The page reports the assets and data sources it actually uses
+self.addEventListener('message', (event) => {
+  const { type, urls } = event.data || {};
+  if (type !== 'CACHE_URLS' || !Array.isArray(urls)) return;
+
+  const data = urls.filter(href => isDataUrl(new URL(href, self.registration.scope)));
+  const shell = urls.filter(href => !data.includes(href));
+  event.waitUntil(Promise.all([cacheUrls(SHELL_CACHE, shell, true), cacheUrls(DATA_CACHE, data, true)]));
+});